@@ -2,65 +2,198 @@
  * Basketball.js
  *
  * This module is responsible for creating a realistic 3D basketball. It exports
- * a class that manages the ball's creation, state, and user-controlled movement.
+ * a class that draws the ball and turns keyboard input into commands for the
+ * headless simulation in BallPhysics.js, which owns the ball's physics state.
+ *
+ * Each ball reads its own keys through an InputRouter, and draws its own power bar,
+ * so two players can each have a ball on the court at once.
  */
 
+import { BallPhysics, BALL_RADIUS, PHYSICS_TIME_STEP } from '../physics/BallPhysics.js';
+import { solveLaunchSpeed } from '../physics/ShotSolver.js';
+import { SHOT_STYLES, SHOT_STYLE_CHOICES, planShot, getStyledLaunchSpeed, getSweetSpotPower } from '../physics/ShotStyles.js';
+import { MIN_POWER, MAX_POWER, getMeterPower, getReleaseWindow, getReleasedPower } from '../physics/ShotMeter.js';
+import { onCourtSpecChange } from '../court/CourtSpec.js';
+import { TrajectoryPreview, PREVIEW_LEVELS } from './TrajectoryPreview.js';
+
+export { PHYSICS_TIME_STEP } from '../physics/BallPhysics.js';
+
 // --- Constants & Dimensions (in meters) ---
-const BALL_RADIUS = 0.12;
 const SEAM_THICKNESS = 0.0035;
-const BALL_COURT_MOVEMENT_SPEED = 0.05;
-const COURT_BOUNDARIES = {
-    x: 14.8, // A little less than the court half-width to keep the ball in bounds
-    z: 7.3   // A little less than the court half-length
+
+// Keys of the ball's actions, as KeyboardEvent.key values (see InputRouter.js). A single player
+// has the whole keyboard; head to head, each player gets one side of it, to move, shoot, catch
+// rebounds and reset the ball.
+export const BALL_KEY_BINDINGS = {
+    solo: {
+        moveUp: ['ArrowUp'],
+        moveDown: ['ArrowDown'],
+        moveLeft: ['ArrowLeft'],
+        moveRight: ['ArrowRight'],
+        shoot: [' '],
+        powerUp: ['w'], // Lowercase only
+        powerDown: ['s'],
+        shotMeter: ['h', 'H'],
+        backspinDown: ['q', 'Q'],
+        backspinUp: ['e', 'E'],
+        aerodynamics: ['f', 'F'],
+        aimLeft: ['a', 'A'],
+        aimRight: ['d', 'D'],
+        angleDown: ['z', 'Z'],
+        angleUp: ['x', 'X'],
+        aimAssist: ['i', 'I'],
+        preview: ['p', 'P'],
+        shotStyle: ['1', '2', '3', '4', '5', '6'], // In the order of SHOT_STYLE_CHOICES
+        rebound: ['g', 'G'],
+        resetBall: ['r', 'R']
+    },
+    arrows: {
+        moveUp: ['ArrowUp'],
+        moveDown: ['ArrowDown'],
+        moveLeft: ['ArrowLeft'],
+        moveRight: ['ArrowRight'],
+        shoot: ['Enter'],
+        rebound: ['.'],
+        resetBall: ['r', 'R']
+    },
+    wasd: {
+        moveUp: ['w', 'W'],
+        moveDown: ['s', 'S'],
+        moveLeft: ['a', 'A'],
+        moveRight: ['d', 'D'],
+        shoot: [' '],
+        rebound: ['q', 'Q'],
+        resetBall: ['r', 'R']
+    }
 };
 
-const MOVEMENT_KEYS = new Set(['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'w', 's']);
-const GRAVITY = -9.8; // m/s^2
-const FRAME_RATE = 60; // frames per second
-const DT = 1 / FRAME_RATE; // time step in seconds
-const BALL_START_POS = { x: 0, y: BALL_RADIUS + 0.1, z: 0 };
-const HOOP_X = [15, -15]; // X positions for both hoops (centered on z=0)
-const BALL_BOUNCINESS = 0.7; 
-const COURT_SURFACE_Y = 0.1; // Court surface is at y=0.1 (court is 0.2 thick, centered at y=0)
-const VELOCITY_THRESHOLD = 1; // Increased from 0.05 to 0.5 to stop bouncing sooner
-const PHYSICS_SPEED_MULTIPLIER = 0.8; // Slower visual movement 
-
-// Basket detection constants
-const BASKET_DETECTION_HEIGHT = 3.05; // Same as rim height
-const BASKET_DETECTION_RADIUS = 0.25; // Larger detection area for better scoring
-const BASKET_COOLDOWN_TIME = 2000; // 2 seconds cooldown between baskets
+// Aim assist levels, cycled with I:
+//   Full    - auto-aim at the automatic angle, with the solved perfect speed (the power is ignored)
+//   Partial - auto-aim at the automatic angle, with the player's power and the sweet spot shown on the power bar
+//   None    - the player's yaw, launch angle and power, without a sweet spot
+const AIM_ASSIST_LEVELS = ['Full', 'Partial', 'None'];
+
+// Practice: the ball goes back to its spot on its own, this long after each attempt
+const AUTO_RESET_DELAY = 1.0; // Seconds of simulation time
 
 export class Basketball {
     /**
      * @param {THREE.Scene} scene - The main scene to add the basketball to.
+     * @param {Object} [options]
+     * @param {GameFlow} [options.game] - The game being played. Shots only count toward the score
+     *        when they leave the hand in live play; without a game, every shot counts.
+     * @param {string|null} [options.team] - The team the ball belongs to, 'home' or 'away'. It attacks the
+     *        team's basket and scores for it (see BallPhysics.js); without a team it shoots at the nearest basket.
+     * @param {InputRouter} [options.input] - Where the ball reads its keys from; without it the ball isn't played.
+     * @param {Object<string, string[]>} [options.keyBindings] - The keys of the ball's actions, one of BALL_KEY_BINDINGS.
+     * @param {string} [options.hudSuffix=''] - Added to the ids of the power bar elements the ball draws into,
+     *        e.g. '-2' for the second player's `power-bar-2`.
+     * @param {boolean} [options.active=true] - Whether the ball starts on the court, see `setActive`.
      */
-    constructor(scene) {
+    constructor(scene, { game = null, team = null, input = null, keyBindings = BALL_KEY_BINDINGS.solo, hudSuffix = '', active = true } = {}) {
         this.mesh = new THREE.Group();
-        this.keyState = {};
+        this.input = input;
+        this.keyBindings = keyBindings;
+        this.unbindKeys = null; // Set while the keys are bound, see `setActive`
+        this.heldActions = {}; // Movement actions whose keys are held down
+        this.hudSuffix = hudSuffix;
+        this.active = false;
         this.power = 0.5; // Start at 50%
         this.POWER_STEP = 0.01;
-        this.MIN_POWER = 0;
-        this.MAX_POWER = 1;
-        this.shooting = false;
-        this.velocity = { x: 0, y: 0, z: 0 };
+        this.MIN_POWER = MIN_POWER;
+        this.MAX_POWER = MAX_POWER;
+        this.shotMeter = true; // Hold-to-charge shot meter, see ShotMeter.js (H switches to setting the power with W/S)
+        this.charging = false; // Space is held down and the meter is charging
+        this.chargeTime = 0; // Seconds of simulation time the meter has been charging
+        this.pendingShot = false; // Shot taken mid-dribble, it leaves once the ball is gathered
+        this.backspin = 2; // Revolutions per second given to the ball at release
+        this.BACKSPIN_STEP = 0.5;
+        this.MAX_BACKSPIN = 5;
+        this.assistLevel = 1; // Index into AIM_ASSIST_LEVELS, starts at Partial
+        this.sweetSpotSpeed = null; // Solved perfect launch speed from the current spot, null if out of reach
+        this.sweetSpotPower = null; // Where the sweet spot sits on the power bar, see `getSweetSpotPower`
+        this.sweetSpotKey = null; // Inputs of the solved sweet spot, so it is only solved again when they change
+        this.yaw = 0; // Degrees left (positive) or right (negative) of the basket
+        this.launchAngle = 62; // Degrees above the horizontal
+        this.AIM_STEP = 1;
+        this.MAX_YAW = 15;
+        this.MIN_LAUNCH_ANGLE = 30;
+        this.MAX_LAUNCH_ANGLE = 80;
+        this.shotStyleChoice = 0; // Index into SHOT_STYLE_CHOICES, starts at Auto
+        this.shotStyleText = null; // Shown shot style, so the UI is only updated when it changes
+        this.previewLevel = 0; // Index into PREVIEW_LEVELS, cycled with P
+        this.previewKey = null; // Inputs of the shown prediction, so it is only recomputed when they change
         this.scene = scene;
-        
-        // Basket detection properties
-        this.lastBasketTime = 0;
-        this.basketDetected = false;
-        this.shotResultDetermined = false; // Track if we've already determined the shot result
-
-        // Rotation properties
-        this.rotationAxis = new THREE.Vector3(0, 1, 0);
-        this.currentRotation = 0;
+        this.game = game;
+        this.shotCounts = true; // The shot in the air was released in live play, see `_trackShotAttempt`
+        this.practice = null; // Practice session the ball is locked to a spot for, see `setPractice`
+        this.practiceShot = null; // The practice attempt in the air, until it has a result
+        this.shotSpot = null; // Where on the floor the last shot was taken from
+        this.autoResetTime = 0; // Seconds left before the ball goes back to the practice spot
+
+        // The simulation advances in fixed steps. The mesh is drawn between the
+        // previous and current physics state, see `render`.
+        this.physics = new BallPhysics({ aerodynamics: true, owner: team });
+        this.physics.on('shot', shot => this._trackShotAttempt(shot));
+        this.physics.on('basket', basket => this._onBasket(basket));
+        this.physics.on('miss', miss => this._onMiss(miss));
+        if (game) {
+            // A new game or a shot clock violation takes the ball back to the start
+            game.on('reset', () => this.resetPosition());
+            game.on('violation', () => this.resetPosition());
+        }
+        this.orientation = new THREE.Quaternion();
+        this.previousOrientation = new THREE.Quaternion();
 
         this._createVisuals();
-        this._resetPosition();
+        this.trajectoryPreview = new TrajectoryPreview(scene);
+        this.resetPosition();
         scene.add(this.mesh);
 
-        // This component is now self-contained and listens for its own events.
-        document.addEventListener('keydown', (e) => this._handleKeyDown(e));
-        document.addEventListener('keyup', (e) => this._handleKeyUp(e));
+        // The court (and the baskets) may be rebuilt at runtime, start over on the new one
+        onCourtSpecChange(() => {
+            this.previewKey = null;
+            this.sweetSpotKey = null;
+            this.resetPosition();
+        });
+
+        this.setActive(active);
+    }
+
+    /**
+     * Puts the ball on the court or takes it off, e.g. the players' balls in and out of head to head.
+     * An active ball reads its keys and is drawn; an inactive one is hidden and ignores the keyboard,
+     * and should not be stepped or rendered. Activating a ball shows its settings on its power bar.
+     * @param {boolean} active - True to put the ball on the court.
+     */
+    setActive(active) {
+        this.active = active;
+        this.mesh.visible = active;
+        this.heldActions = {};
+        this.charging = false; // The key release that shoots may never come
+        if (this.unbindKeys) {
+            this.unbindKeys();
+            this.unbindKeys = null;
+        }
+        if (!active) {
+            this.trajectoryPreview.hide();
+            this.previewKey = null;
+            return;
+        }
+        if (this.input) {
+            this.unbindKeys = this.input.bind(this.keyBindings, {
+                onActionDown: (action, e) => this._handleActionDown(action, e),
+                onActionUp: (action) => this._handleActionUp(action)
+            });
+        }
+        this.shotStyleText = null;
+        this.sweetSpotKey = null;
+        this.updateSpinDisplay();
+        this.updateAimDisplay();
+        this.updatePreviewDisplay();
+        this.updateShotMeterDisplay();
+        this.updatePlayerDisplay();
+        this.updatePowerBar();
     }
 
     /**
@@ -68,8 +201,6 @@ export class Basketball {
      * @private
      */
     _createVisuals() {
-        this.mesh.position.set(0, BALL_RADIUS + 0.1, 0);
-
         const textureLoader = new THREE.TextureLoader();
         const basketballTexture = textureLoader.load('src/assets/textures/basketball_surface.jpg');
         const ballMaterial = new THREE.MeshPhongMaterial({
@@ -118,359 +249,628 @@ export class Basketball {
         });
     }
 
-    _resetPosition() {
-        this.mesh.position.set(BALL_START_POS.x, BALL_START_POS.y, BALL_START_POS.z);
-        this.velocity = { x: 0, y: 0, z: 0 };
-        this.shooting = false;
+    /**
+     * Takes the ball back to its spot, at rest, out of a shot in flight: the practice's spot,
+     * its team's start spot head to head, or center court. Called for a new match, too.
+     */
+    resetPosition() {
+        this.pendingShot = false;
+        this.practiceShot = null;
+        this.autoResetTime = 0;
+        if (this.practice) {
+            const spot = this.practice.getSpot();
+            this.physics.placeAt(spot.x, spot.z);
+        } else {
+            if (this.game && this.physics.shooting) {
+                this.game.onShotEnded('reset'); // Taking the ball back starts a new possession
+            }
+            this.physics.reset(); // Head to head, to the team's start spot
+        }
+        const { position } = this.physics;
+        this.mesh.position.set(position.x, position.y, position.z);
     }
 
-    /** @private */
-    _handleKeyDown(e) {
-        if (MOVEMENT_KEYS.has(e.key)) {
-            this.keyState[e.key] = true;
-        }
-        // Power adjustment (lowercase only)
-        if (e.key === 'w') {
-            this.power = Math.min(this.MAX_POWER, this.power + this.POWER_STEP);
-            this.updatePowerBar();
+    /**
+     * Handles a pressed key of one of the ball's actions.
+     * @private
+     * @param {string} action - The action, a key of BALL_KEY_BINDINGS.solo.
+     * @param {KeyboardEvent} e - The keyboard event.
+     */
+    _handleActionDown(action, e) {
+        switch (action) {
+            case 'moveUp':
+            case 'moveDown':
+            case 'moveLeft':
+            case 'moveRight':
+                this.heldActions[action] = true;
+                break;
+            // Power adjustment, when the shot meter is off
+            case 'powerUp':
+                if (!this.shotMeter) {
+                    this.power = Math.min(this.MAX_POWER, this.power + this.POWER_STEP);
+                    this.updatePowerBar();
+                }
+                break;
+            case 'powerDown':
+                if (!this.shotMeter) {
+                    this.power = Math.max(this.MIN_POWER, this.power - this.POWER_STEP);
+                    this.updatePowerBar();
+                }
+                break;
+            // Switch between the shot meter and W/S power
+            case 'shotMeter':
+                if (!this.charging) {
+                    this.shotMeter = !this.shotMeter;
+                    this.updateShotMeterDisplay();
+                    this.updateSweetSpotMarker();
+                }
+                break;
+            // Backspin adjustment
+            case 'backspinDown':
+                this.backspin = Math.max(0, this.backspin - this.BACKSPIN_STEP);
+                this.updateSpinDisplay();
+                break;
+            case 'backspinUp':
+                this.backspin = Math.min(this.MAX_BACKSPIN, this.backspin + this.BACKSPIN_STEP);
+                this.updateSpinDisplay();
+                break;
+            // Toggle air drag and the Magnus effect
+            case 'aerodynamics':
+                this.physics.aerodynamics = !this.physics.aerodynamics;
+                this.updateSpinDisplay();
+                break;
+            // Manual aim: turn left/right, lower/raise the launch angle, cycle the aim assist
+            case 'aimLeft':
+                this.yaw = Math.min(this.MAX_YAW, this.yaw + this.AIM_STEP);
+                this.updateAimDisplay();
+                break;
+            case 'aimRight':
+                this.yaw = Math.max(-this.MAX_YAW, this.yaw - this.AIM_STEP);
+                this.updateAimDisplay();
+                break;
+            case 'angleDown':
+                this.launchAngle = Math.max(this.MIN_LAUNCH_ANGLE, this.launchAngle - this.AIM_STEP);
+                this.updateAimDisplay();
+                break;
+            case 'angleUp':
+                this.launchAngle = Math.min(this.MAX_LAUNCH_ANGLE, this.launchAngle + this.AIM_STEP);
+                this.updateAimDisplay();
+                break;
+            case 'aimAssist':
+                this.assistLevel = (this.assistLevel + 1) % AIM_ASSIST_LEVELS.length;
+                this.updateAimDisplay();
+                this.updateSweetSpotMarker();
+                break;
+            // Cycle the trajectory preview level
+            case 'preview':
+                this.previewLevel = (this.previewLevel + 1) % PREVIEW_LEVELS.length;
+                this.updatePreviewDisplay();
+                break;
+            // Choose the shot style, the keys are in the order of the choices
+            case 'shotStyle':
+                this.shotStyleChoice = this.keyBindings.shotStyle.indexOf(e.key);
+                break;
+            // Gather the ball and shoot, or start charging the shot meter
+            case 'shoot':
+                if (!e.repeat && !this.physics.shooting && !this.charging && !this.pendingShot) {
+                    this.physics.gather();
+                    if (this.shotMeter) {
+                        this.charging = true;
+                        this.chargeTime = 0;
+                        this.power = 0;
+                    } else {
+                        this._takeShot();
+                    }
+                }
+                break;
+            case 'rebound':
+                this.physics.catchRebound();
+                break;
+            // Reset ball position only
+            case 'resetBall':
+                this.resetPosition();
+                break;
         }
-        if (e.key === 's') {
-            this.power = Math.max(this.MIN_POWER, this.power - this.POWER_STEP);
-            this.updatePowerBar();
+    }
+
+    /**
+     * Handles a released key of one of the ball's actions.
+     * @private
+     * @param {string} action - The action, a key of BALL_KEY_BINDINGS.solo.
+     */
+    _handleActionUp(action) {
+        if (action in this.heldActions) {
+            this.heldActions[action] = false;
         }
-        // Spacebar to shoot
-        if (e.key === ' ' && !this.shooting) {
-            this._shootTowardNearestHoop();
+        // Releasing the shoot key shoots a charged shot
+        if (action === 'shoot' && this.charging) {
+            this._releaseShot();
         }
-        // R to reset ball position only
-        if (e.key === 'r' || e.key === 'R') {
-            this._resetPosition();
+    }
+
+    /**
+     * Shoots with the charged power. A release inside the green window around the
+     * sweet spot is timed well, and gets the sweet spot's power.
+     * @private
+     */
+    _releaseShot() {
+        this.charging = false;
+        this._planShot(); // The ball may have moved since the last frame
+        if (this._getReleaseWindow()) {
+            this.power = getReleasedPower(this.power, this.sweetSpotPower);
         }
-        // T to reset score only
-        if (e.key === 't' || e.key === 'T') {
-            import('../ui/Score.js').then(scoreModule => {
-                scoreModule.resetScore();
-            }).catch(error => {
-                console.error('Error resetting score:', error);
-            });
+        this._takeShot();
+        this.updatePowerBar();
+    }
+
+    /**
+     * Shoots now if the ball can be shot from where it is, otherwise as soon as it is
+     * gathered at the top of the dribble.
+     * @private
+     */
+    _takeShot() {
+        if (this.physics.canShoot()) {
+            this._shootTowardNearestHoop();
+        } else {
+            this.pendingShot = true;
         }
     }
 
-    /** @private */
-    _handleKeyUp(e) {
-        if (MOVEMENT_KEYS.has(e.key)) {
-            this.keyState[e.key] = false;
+    /**
+     * Whether the sweet spot is shown: with an assisted aim, while the ball is on the court.
+     * @private
+     */
+    _showsSweetSpot() {
+        return AIM_ASSIST_LEVELS[this.assistLevel] !== 'None' && !this.physics.shooting && this.sweetSpotSpeed !== null;
+    }
+
+    /**
+     * The green timing window of the shot meter: the powers close enough to the sweet spot.
+     * @private
+     * @returns {{start: number, end: number}|null} The window, or null without a sweet spot on the power bar.
+     */
+    _getReleaseWindow() {
+        if (!this.shotMeter || !this._showsSweetSpot()) {
+            return null;
         }
+        return getReleaseWindow(this.sweetSpotPower);
     }
 
+    /**
+     * Shoots the ball toward the nearest hoop with the current power, backspin, aim and shot style.
+     */
     _shootTowardNearestHoop() {
-        // Find nearest hoop (x = 15 or -15)
-        const ballX = this.mesh.position.x;
-        const ballZ = this.mesh.position.z;
-        const targetX = Math.abs(ballX - HOOP_X[0]) < Math.abs(ballX - HOOP_X[1]) ? HOOP_X[0] : HOOP_X[1];
-        const targetZ = 0;
-
-        // Direction vector from ball to hoop
-        const dx = targetX - ballX;
-        const dz = targetZ - ballZ;
-        const distXZ = Math.sqrt(dx*dx + dz*dz);
-
-        // Moderate high arc for all shots - ball goes higher but not too much
-        let angle;
-        if (distXZ < 5) {
-            // Close shots - high arc (65-75 degrees)
-            angle = Math.PI / 2.5; // About 72 degrees - high arc for close shots
-        } else {
-            // Medium to long shots - moderate arc (55-65 degrees)
-            angle = Math.PI / 2.9; // About 62 degrees - moderate arc for distance shots
+        const { x, z } = this.physics.position;
+        this.shotSpot = { x, z }; // Before the ball moves to the release point of the shot style
+        this.physics.shootTowardNearestHoop(this.power, this.backspin, this._planShot());
+    }
+
+    /**
+     * Plans the next shot from the current spot in the chosen style, and solves its sweet spot.
+     * @private
+     * @returns {Object} The aim for `shootTowardNearestHoop`: release point, shot style, yaw,
+     *          launch angle and launch speed.
+     */
+    _planShot() {
+        const position = this.physics.getShotPosition(true); // Every shot is gathered first, see `gather`
+        const plan = planShot(this._getShotStyleChoice(), position, this._getAim(), this.physics.getTargetSide(position.x));
+        this._updateSweetSpot(plan);
+        this._updateShotStyleDisplay(plan.shotStyle);
+
+        const launchSpeed = AIM_ASSIST_LEVELS[this.assistLevel] === 'Full' && this.sweetSpotSpeed !== null ?
+            this.sweetSpotSpeed : getStyledLaunchSpeed(plan, this.power, this.sweetSpotSpeed);
+        return { ...plan.aim, launchSpeed };
+    }
+
+    /**
+     * The player's aim for the current assist level. Assisted shots leave the direction and
+     * angle to the simulation (or to the shot style).
+     * @private
+     * @returns {{yaw?: number, launchAngle?: number}} Yaw and launch angle in radians.
+     */
+    _getAim() {
+        if (AIM_ASSIST_LEVELS[this.assistLevel] !== 'None') {
+            return {};
         }
+        return { yaw: THREE.MathUtils.degToRad(this.yaw), launchAngle: THREE.MathUtils.degToRad(this.launchAngle) };
+    }
 
-        // Adjust velocity based on distance for better feel
-        let v;
-        if (distXZ < 5) {
-            // Close shots - more power needed due to high arc
-            v = 6 + this.power * 6; // min 6 m/s, max 12 m/s (increased power)
-        } else {
-            // Medium to long shots - more power
-            v = 6 + this.power * 6; // min 6 m/s, max 12 m/s
-        }
-        
-        // Compensate for slower visual movement to maintain same trajectory
-        v *= 1.25; // Increase velocity to compensate for slower visual movement
-
-        // Calculate velocity components
-        this.velocity.x = v * Math.cos(angle) * (dx / distXZ);
-        this.velocity.z = v * Math.cos(angle) * (dz / distXZ);
-        this.velocity.y = v * Math.sin(angle);
-        this.shooting = true;
-        this.shotResultDetermined = false; // Reset shot result flag for new shot
-        
-        // Track shot attempt
-        import('../ui/Score.js').then(scoreModule => {
-            scoreModule.addShotAttempt();
-        }).catch(error => {
-            console.error('Error tracking shot attempt:', error);
-        });
-        
-        // Store which hoop we're targeting for missed shot detection
-        this.targetHoopX = targetX;
+    /**
+     * Solves the perfect shot for a plan, and marks its power on the power bar when the aim is
+     * assisted. Without assist it is still solved, since the shot styles' success model needs it.
+     * The solver only runs again when the shot it depends on changes.
+     * @private
+     * @param {{target: Object, aim: Object}} plan - From `planShot`.
+     */
+    _updateSweetSpot(plan) {
+        const { release, launchAngle, targetSide } = plan.aim;
+        const { target } = plan;
+        const { aerodynamics } = this.physics;
+        const key = [release.x, release.y, release.z, target.x, target.y, target.z, launchAngle, this.backspin, aerodynamics].join();
+        if (key !== this.sweetSpotKey) {
+            this.sweetSpotKey = key;
+            this.sweetSpotSpeed = solveLaunchSpeed(release, { target, launchAngle, aerodynamics, backspin: this.backspin, targetSide });
+            this.sweetSpotPower = getSweetSpotPower(plan, this.sweetSpotSpeed);
+            this.updateSweetSpotMarker();
+        }
     }
 
     /**
      * Call this to update the power bar UI.
      */
     updatePowerBar() {
-        const bar = document.getElementById('power-bar');
+        const bar = this._getHudElement('power-bar');
 
         if (bar) {
             bar.style.width = `${Math.round(this.power * 100)}%`;
             bar.textContent = `${Math.round(this.power * 100)}%`;
+            bar.classList.toggle('charging', this.charging); // Follows the meter without the width transition
         }
     }
 
     /**
-     * This method should be called in the main animation loop to update the ball's position.
+     * Call this to update the team name over the power bar, shown head to head.
      */
-    update() {
-        if (this.shooting) {
-            this._updateShootingPhysics();
-        } else {
-            this._updateMovementOnCourt();
+    updatePlayerDisplay() {
+        const playerElement = this._getHudElement('power-bar-player');
 
+        if (playerElement) {
+            const { owner } = this.physics;
+            playerElement.style.display = owner ? 'block' : 'none';
+            playerElement.textContent = owner === 'away' ? 'Away' : 'Home';
+        }
+    }
+
+    /**
+     * Call this to update the backspin and air resistance UI.
+     */
+    updateSpinDisplay() {
+        const spinElement = this._getHudElement('spin-display');
+
+        if (spinElement) {
+            spinElement.textContent = `Backspin: ${this.backspin.toFixed(1)} rev/s | Air: ${this.physics.aerodynamics ? 'On' : 'Off'}`;
         }
-        this._updateRotation();
-        this.updatePowerBar();
     }
 
     /**
-     * Updates the ball's physics when shooting (gravity, collisions, bouncing).
+     * Call this to update the aim UI.
+     */
+    updateAimDisplay() {
+        const aimElement = this._getHudElement('aim-display');
+
+        if (aimElement) {
+            const level = AIM_ASSIST_LEVELS[this.assistLevel];
+            if (level !== 'None') {
+                aimElement.textContent = `Aim Assist: ${level}`;
+            } else {
+                const side = this.yaw > 0 ? ' left' : (this.yaw < 0 ? ' right' : '');
+                aimElement.textContent = `Aim: ${Math.abs(this.yaw)}°${side} | Angle: ${this.launchAngle}°`;
+            }
+        }
+    }
+
+    /**
+     * Call this to update the sweet spot marker on the power bar.
+     */
+    updateSweetSpotMarker() {
+        const marker = this._getHudElement('power-sweet-spot');
+
+        if (marker) {
+            const power = this._showsSweetSpot() ? this.sweetSpotPower : NaN;
+            const onBar = power >= this.MIN_POWER && power <= this.MAX_POWER;
+            marker.style.display = onBar ? 'block' : 'none';
+            if (onBar) {
+                marker.style.left = `${(power * 100).toFixed(1)}%`;
+            }
+        }
+
+        const windowElement = this._getHudElement('power-window');
+        if (windowElement) {
+            const releaseWindow = this._getReleaseWindow();
+            windowElement.style.display = releaseWindow ? 'block' : 'none';
+            if (releaseWindow) {
+                windowElement.style.left = `${(releaseWindow.start * 100).toFixed(1)}%`;
+                windowElement.style.width = `${((releaseWindow.end - releaseWindow.start) * 100).toFixed(1)}%`;
+            }
+        }
+    }
+
+    /**
+     * Call this to update the power bar label for the shot meter or W/S power.
+     */
+    updateShotMeterDisplay() {
+        const label = this._getHudElement('power-bar-label');
+
+        if (label) {
+            const shootKey = this.keyBindings.shoot[0] === ' ' ? 'Space' : this.keyBindings.shoot[0];
+            label.textContent = this.shotMeter ? `Shot Meter (hold ${shootKey})` : 'Shot Power (W/S)';
+        }
+    }
+
+    /**
+     * Shows the chosen shot style, and the style it turns into from the current spot.
      * @private
+     * @param {string} shotStyle - The style the next shot is taken in.
+     */
+    _updateShotStyleDisplay(shotStyle) {
+        const choice = this._getShotStyleChoice();
+        const taken = SHOT_STYLES[shotStyle].name;
+        const text = choice === 'auto' ? `Shot: Auto (${taken})` :
+            (choice === shotStyle ? `Shot: ${taken}` : `Shot: ${taken} (no ${SHOT_STYLES[choice].name} from here)`);
+        if (text === this.shotStyleText) {
+            return;
+        }
+        this.shotStyleText = text;
+        const styleElement = this._getHudElement('style-display');
+
+        if (styleElement) {
+            styleElement.textContent = text;
+        }
+    }
+
+    /**
+     * Call this to update the trajectory preview level UI.
      */
-    _updateShootingPhysics() {
-        // Apply velocity and gravity
-        this.mesh.position.x += this.velocity.x * DT * PHYSICS_SPEED_MULTIPLIER;
-        this.mesh.position.y += this.velocity.y * DT * PHYSICS_SPEED_MULTIPLIER;
-        this.mesh.position.z += this.velocity.z * DT * PHYSICS_SPEED_MULTIPLIER;
-        this.velocity.y += GRAVITY * DT;
+    updatePreviewDisplay() {
+        const previewElement = this._getHudElement('preview-display');
 
-        // Check for collisions and real-time basket detection
-        this._checkRimCollision();
-        this._checkBasket();
-        this._checkGroundCollision();
+        if (previewElement) {
+            previewElement.textContent = `Aim Preview: ${PREVIEW_LEVELS[this.previewLevel].name}`;
+        }
     }
 
     /**
-     * Updates the ball's rotation based on its velocity.
+     * Finds one of the elements of this ball's power bar.
      * @private
+     * @param {string} id - The element's id on the first player's power bar.
+     * @returns {HTMLElement|null} The element on this ball's power bar, null if it isn't on the page.
      */
-    _updateRotation() {
-        const speed = Math.hypot(this.velocity.x, this.velocity.y, this.velocity.z);
-      
-        const velDir = new THREE.Vector3(this.velocity.x, this.velocity.y, this.velocity.z).normalize();
-        const up     = new THREE.Vector3(0, 1, 0);
-        this.rotationAxis = new THREE.Vector3()
-          .crossVectors(velDir, up)          // perpendicular to ground and vel
-          .normalize();
-      
-      
-        const angularSpeed = (speed / BALL_RADIUS) * PHYSICS_SPEED_MULTIPLIER * DT;      // radians per second
-      
-        this.currentRotation = (this.currentRotation + angularSpeed) 
-          % (Math.PI * 2);
-      
-        // 5) apply via quaternion (Euler.setFromAxisAngle doesn't exist)
-        this.mesh.quaternion.setFromAxisAngle(
-          this.rotationAxis,
-          this.currentRotation
-        );
+    _getHudElement(id) {
+        return document.getElementById(id + this.hudSuffix);
     }
 
     /**
-     * Checks for collision with basketball rims and handles bouncing.
+     * Gets the chosen shot style: the practice's own style, if it has one, or the one picked with 1-6.
      * @private
+     * @returns {string} A key of SHOT_STYLES, or 'auto'.
+     */
+    _getShotStyleChoice() {
+        return this.practice && this.practice.shotStyle ? this.practice.shotStyle : SHOT_STYLE_CHOICES[this.shotStyleChoice];
+    }
+
+    /**
+     * Starts or ends a practice session. During practice the ball is placed on the session's
+     * spot, shots go to the session instead of the score, and the ball goes back to the spot
+     * after each attempt.
+     * @param {Object|null} practice - The session, e.g. a FreeThrowPractice, or null to end practice.
+     * @param {function(): {x: number, z: number}} practice.getSpot - Where the ball is placed.
+     * @param {function(): boolean} practice.isBallLocked - Whether the ball is kept on the spot, or can be moved.
+     * @param {string|null} practice.shotStyle - The style of every shot, a key of SHOT_STYLES, or null for the player's choice.
+     * @param {function(boolean, Object): void} practice.recordAttempt - Receives whether each attempt was made,
+     *        and the shot: its `shotType`, `shotStyle` and the `spot` it was taken from.
      */
-    _checkRimCollision() {
-        // Disabled rim collision - ball passes through hoops without bouncing
-        // This makes shooting much easier and more fun
-        return;
+    setPractice(practice) {
+        this.practice = practice;
+        this.sweetSpotKey = null;
+        this.resetPosition();
     }
 
     /**
-     * Checks if the ball has gone through a hoop and scores a basket.
+     * Records the result of a practice attempt, and schedules the ball's return to the spot.
      * @private
+     * @param {boolean} made - True if the attempt went in.
      */
-    _checkBasket() {
-        const currentTime = Date.now();
-        
-        // Check if enough time has passed since last basket (cooldown)
-        if (currentTime - this.lastBasketTime < BASKET_COOLDOWN_TIME) {
+    _endPracticeShot(made) {
+        const shot = this.practiceShot;
+        if (!shot) {
             return;
         }
+        this.practiceShot = null;
+        this.autoResetTime = AUTO_RESET_DELAY;
+        this.practice.recordAttempt(made, shot);
+    }
 
-        for (const hoopX of HOOP_X) {
-            const dx = this.mesh.position.x - hoopX;
-            const dz = this.mesh.position.z;
-            const dy = this.mesh.position.y - BASKET_DETECTION_HEIGHT;
-            
-            // Check if ball is within the hoop area
-            const horizontalDist = Math.sqrt(dx*dx + dz*dz);
-            const isWithinHoop = horizontalDist < BASKET_DETECTION_RADIUS;
-            const isMovingDown = this.velocity.y < 0;
-            const isAtRimLevel = Math.abs(dy) < BALL_RADIUS * 1.2; // Ball is at rim level (balanced precision)
-            
-            // Basket detected: ball is within hoop, at rim level, and moving downward
-            if (isWithinHoop && isAtRimLevel && isMovingDown && !this.basketDetected) {
-                this.basketDetected = true;
-                this.shotResultDetermined = true; // Mark that we've determined the shot result
-                this.lastBasketTime = currentTime;
-                
-                // Make the ball go through the net area (below the rim)
-                // Calculate direction from ball to center of hoop
-                const netDirectionX = (hoopX - this.mesh.position.x) * 0.3; // Slight push toward center
-                const netDirectionZ = (0 - this.mesh.position.z) * 0.3; // Slight push toward center
-                
-                // Set velocity to go through the net area
-                this.velocity.x = netDirectionX;
-                this.velocity.z = netDirectionZ;
-                this.velocity.y = -3; // Fall down through the net
-                
-                // Determine which hoop (home or away) and add score
-                const isHomeHoop = hoopX > 0; // Positive X is home hoop
-                if (isHomeHoop) {
-                    this._addScore('away'); // Away team scores on home hoop
-                } else {
-                    this._addScore('home'); // Home team scores on away hoop
-                }
-                
-                console.log(`BASKET! ${isHomeHoop ? 'Away' : 'Home'} team scores!`);
-            }
+    /**
+     * Advances the ball's physics by one fixed time step, applying the keyboard input.
+     * The main loop calls this a whole number of times per frame, using a FixedStepClock.
+     */
+    step() {
+        if (this.charging) {
+            // The meter rises to full power, then falls back and rises again while space is held
+            this.chargeTime += PHYSICS_TIME_STEP;
+            this.power = getMeterPower(this.chargeTime);
         }
-        
-        // Reset basket detection when ball is no longer near rim
-        if (this.mesh.position.y < BASKET_DETECTION_HEIGHT - BALL_RADIUS * 2) {
-            this.basketDetected = false;
+        this.physics.step(this._getMovementInput());
+        if (this.pendingShot && this.physics.canShoot()) {
+            this.pendingShot = false;
+            this._shootTowardNearestHoop();
+        }
+        if (this.practiceShot && this.physics.touchedFloor) {
+            // A practice attempt that reaches the floor without going in is a miss
+            const { touchedRim, touchedBackboard } = this.physics;
+            this._showShotResult(scoreModule => scoreModule.showShotMissed({ airBall: !touchedRim && !touchedBackboard }));
+            this._endPracticeShot(false);
+        }
+        if (this.autoResetTime > 0) {
+            this.autoResetTime -= PHYSICS_TIME_STEP;
+            if (this.autoResetTime <= 0) {
+                this.resetPosition();
+            }
         }
     }
 
     /**
-     * Adds score for the specified team.
-     * @param {string} team - 'home' or 'away'
-     * @private
+     * Draws the ball between its previous and current physics state.
+     * This method should be called once per frame in the main animation loop, after stepping.
+     * @param {number} alpha - How far (0 to 1) the frame is between the two physics states.
      */
-    _addScore(team) {
-        // Import the score functions dynamically to avoid circular dependencies
-        import('../ui/Score.js').then(scoreModule => {
-            if (team === 'home') {
-                scoreModule.addHomeScore(2);
-            } else if (team === 'away') {
-                scoreModule.addAwayScore(2);
-            }
-        }).catch(error => {
-            console.error('Error updating score:', error);
-        });
+    render(alpha) {
+        const from = this.physics.previousPosition;
+        const to = this.physics.position;
+        this.mesh.position.set(
+            from.x + (to.x - from.x) * alpha,
+            from.y + (to.y - from.y) * alpha,
+            from.z + (to.z - from.z) * alpha
+        );
+        const { previousOrientation, orientation } = this.physics;
+        this.previousOrientation.set(previousOrientation.x, previousOrientation.y, previousOrientation.z, previousOrientation.w);
+        this.orientation.set(orientation.x, orientation.y, orientation.z, orientation.w);
+        this.mesh.quaternion.copy(this.previousOrientation).slerp(this.orientation, alpha);
+        this.updatePowerBar();
+        this._updateTrajectoryPreview();
     }
 
+    /**
+     * Shows the predicted arc of the next shot while the ball is on the court.
+     * The prediction is only run again when the shot it depends on changes.
+     * @private
+     */
+    _updateTrajectoryPreview() {
+        const { fraction } = PREVIEW_LEVELS[this.previewLevel];
+        if (this.physics.shooting) {
+            this.trajectoryPreview.hide();
+            this.previewKey = null;
+            this.sweetSpotKey = null; // Solved again from wherever the ball ends up
+            this.updateSweetSpotMarker();
+            return;
+        }
+        const aim = this._planShot(); // Also keeps the sweet spot and shot style up to date
+        if (fraction === 0) {
+            this.trajectoryPreview.hide();
+            this.previewKey = null;
+            return;
+        }
 
+        const { release, yaw, launchAngle, launchSpeed } = aim;
+        const key = [release.x, release.y, release.z, yaw, launchAngle, launchSpeed, this.backspin, this.physics.aerodynamics, fraction].join();
+        if (key !== this.previewKey) {
+            this.previewKey = key;
+            this.trajectoryPreview.show(this.physics.predictShot(this.power, this.backspin, aim), fraction);
+        }
+    }
 
     /**
-     * Shows missed shot feedback.
+     * Turns the held movement keys into a movement direction for the simulation.
      * @private
+     * @returns {{x: number, z: number}} Movement direction (-1, 0 or 1 per axis).
      */
-    _showMissedShot() {
-        // Only show missed shot if we haven't determined the result yet
-        if (!this.shotResultDetermined) {
-            this.shotResultDetermined = true; // Mark that we've determined the shot result
-            import('../ui/Score.js').then(scoreModule => {
-                scoreModule.showShotMissed();
-            }).catch(error => {
-                console.error('Error showing missed shot:', error);
-            });
+    _getMovementInput() {
+        if (this.practice && this.practice.isBallLocked()) {
+            return { x: 0, z: 0 }; // Locked to the practice spot
         }
+        return {
+            x: (this.heldActions.moveRight ? 1 : 0) - (this.heldActions.moveLeft ? 1 : 0),
+            z: (this.heldActions.moveDown ? 1 : 0) - (this.heldActions.moveUp ? 1 : 0)
+        };
     }
 
     /**
-     * Checks for collision with the ground and handles bouncing/stopping.
+     * Counts a shot attempt for the shot type the simulation classified at release, and its style.
+     * Outside live play the shot is only shown, not counted.
      * @private
+     * @param {{shotType: string, shotStyle: string}} shot - The 'shot' event data.
      */
-    _checkGroundCollision() {
-        if (this.mesh.position.y <= COURT_SURFACE_Y + BALL_RADIUS + 0.01) {
-            this.mesh.position.y = COURT_SURFACE_Y + BALL_RADIUS;
-            
-            if (this._isMovingFastEnough()) {
-                this._bounceOffGround();
-            } else {
-                this._stopBall();
-            }
+    _trackShotAttempt(shot) {
+        if (this.practice) {
+            this.practiceShot = { ...shot, spot: this.shotSpot };
+            return;
+        }
+        this.shotCounts = !this.game || this.game.isLive();
+        if (this.game) {
+            this.game.onShotReleased();
+        }
+        if (!this.shotCounts) {
+            return;
         }
+        import('../ui/Score.js').then(scoreModule => {
+            scoreModule.addShotAttempt(shot.shotType, shot.shotStyle);
+        }).catch(error => {
+            console.error('Error tracking shot attempt:', error);
+        });
     }
 
     /**
-     * Checks if the ball is moving fast enough to continue bouncing.
+     * Scores a basket reported by the simulation.
      * @private
-     * @returns {boolean} True if the ball should continue bouncing.
+     * @param {{team: string, shotType: string, makeType: string, shotStyle: string}} basket - The 'basket' event data.
      */
-    _isMovingFastEnough() {
-        return Math.abs(this.velocity.y) > VELOCITY_THRESHOLD || 
-               Math.abs(this.velocity.x) > VELOCITY_THRESHOLD || 
-               Math.abs(this.velocity.z) > VELOCITY_THRESHOLD;
+    _onBasket(basket) {
+        const shot = { makeType: basket.makeType, shotType: basket.shotType, shotStyle: basket.shotStyle };
+        if (this.practice) {
+            this._showShotResult(scoreModule => scoreModule.showShotMade(shot));
+            this._endPracticeShot(true);
+            return;
+        }
+        if (this.game) {
+            this.game.onShotEnded('made');
+        }
+        if (!this.shotCounts) {
+            this._showShotResult(scoreModule => scoreModule.showShotMade(shot));
+            return;
+        }
+        this._addScore(basket.team, shot);
+        const style = SHOT_STYLES[shot.shotStyle].name.toLowerCase();
+        console.log(`BASKET! ${basket.team === 'away' ? 'Away' : 'Home'} team scores a ${shot.shotType} ${style}${shot.makeType === 'bank' ? ' off the glass' : ''}!`);
     }
 
     /**
-     * Handles the ball bouncing off the ground with energy loss.
+     * Adds score for the specified team.
+     * @param {string} team - 'home' or 'away'
+     * @param {Object} shot - How the shot was made
+     * @param {string} shot.makeType - 'bank' if the ball went in off the backboard, otherwise 'direct'
+     * @param {string} shot.shotType - '2PT', '3PT' or 'FT', which decides the points awarded
+     * @param {string} shot.shotStyle - The key of the style in SHOT_STYLES
      * @private
      */
-    _bounceOffGround() {
-        this.velocity.y = -this.velocity.y * BALL_BOUNCINESS;
-        // Apply friction to horizontal velocity
-        this.velocity.x *= 0.6;
-        this.velocity.z *= 0.6;
+    _addScore(team, shot = { makeType: 'direct', shotType: '2PT', shotStyle: 'jumper' }) {
+        // Import the score functions dynamically to avoid circular dependencies
+        import('../ui/Score.js').then(scoreModule => {
+            const points = scoreModule.SHOT_POINTS[shot.shotType];
+            if (team === 'home') {
+                scoreModule.addHomeScore(points, shot);
+            } else if (team === 'away') {
+                scoreModule.addAwayScore(points, shot);
+            }
+        }).catch(error => {
+            console.error('Error updating score:', error);
+        });
     }
 
     /**
-     * Stops the ball's movement and ends shooting state.
+     * Reports a missed shot, and how the ball ended up, to the score.
      * @private
+     * @param {{result: string, airBall: boolean}} miss - The 'miss' event data.
      */
-    _stopBall() {
-        this.velocity.y = 0;
-        this.velocity.x = 0;
-        this.velocity.z = 0;
-        this.shooting = false;
-        
-        // Only show missed shot if we haven't determined the result yet (meaning no basket was made)
-        if (!this.shotResultDetermined) {
-            this._showMissedShot();
+    _onMiss(miss) {
+        if (this.practice) {
+            if (this.practiceShot) {
+                this._showShotResult(scoreModule => scoreModule.showShotMissed(miss));
+            }
+            this._endPracticeShot(false);
+            return;
+        }
+        if (this.game) {
+            this.game.onShotEnded(miss.result);
+        }
+        if (!this.shotCounts) {
+            this._showShotResult(scoreModule => scoreModule.showShotMissed(miss));
+            return;
         }
+        import('../ui/Score.js').then(scoreModule => {
+            scoreModule.addShotMissed(miss);
+        }).catch(error => {
+            console.error('Error showing missed shot:', error);
+        });
     }
 
     /**
-     * Updates the ball's position based on keyboard input when not shooting.
+     * Shows how a shot that does not count ended up, without scoring it.
      * @private
+     * @param {function(Object): void} show - Shows the result with the Score module.
      */
-    _updateMovementOnCourt() {
-        // Reset velocity at the start
-        this.velocity.x = 0;
-        this.velocity.z = 0;
-        
-        // Handle arrow key movement and set velocity
-        if (this.keyState['ArrowUp']) {
-            this.mesh.position.z -= BALL_COURT_MOVEMENT_SPEED;
-            this.velocity.z = -BALL_COURT_MOVEMENT_SPEED;
-        }
-        if (this.keyState['ArrowDown']) {
-            this.mesh.position.z += BALL_COURT_MOVEMENT_SPEED;
-            this.velocity.z = BALL_COURT_MOVEMENT_SPEED;
-        }
-        if (this.keyState['ArrowLeft']) {
-            this.mesh.position.x -= BALL_COURT_MOVEMENT_SPEED;
-            this.velocity.x = -BALL_COURT_MOVEMENT_SPEED;
-        }
-        if (this.keyState['ArrowRight']) {
-            this.mesh.position.x += BALL_COURT_MOVEMENT_SPEED;
-            this.velocity.x = BALL_COURT_MOVEMENT_SPEED;
-        }
-        
-        // Boundary checks
-        this.mesh.position.x = Math.max(-COURT_BOUNDARIES.x, Math.min(COURT_BOUNDARIES.x, this.mesh.position.x));
-        this.mesh.position.z = Math.max(-COURT_BOUNDARIES.z, Math.min(COURT_BOUNDARIES.z, this.mesh.position.z));
-    }
-} 
\ No newline at end of file
+    _showShotResult(show) {
+        import('../ui/Score.js').then(show).catch(error => {
+            console.error('Error showing shot result:', error);
+        });
+    }
+}
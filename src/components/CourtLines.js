@@ -1,111 +1,345 @@
 /**
  * CourtLines.js
  *
- * This module is responsible for creating all the line markings on the basketball court,
- * including the center line, center circle, three-point lines, and the free-throw areas.
- * It exports a single function, `createCourtLines`, which orchestrates the drawing of all lines.
+ * This module is responsible for painting the markings on the basketball court surface:
+ * the boundary lines, center line, center circle, three-point lines and free-throw areas,
+ * the keys filled in the team colors, and the center-court logo.
+ * It exports a single function, `createCourtLines`, which orchestrates the painting.
+ * All dimensions come from the active spec in CourtSpec.js, so the arcs are centered on the actual baskets.
+ *
+ * Lines are real flat strips of the spec's line width (5cm on regulation courts), not 1px
+ * GL lines, so they keep their width and stay crisp at every zoom level. All the strips
+ * are merged into a single mesh, drawn in one draw call.
  */
 
+import {
+    getCourtSpec,
+    getHoopSides,
+    getCourtSurfaceY,
+    getBaselineX,
+    getCenterLineX,
+    getBasketCenter,
+    getFreeThrowLineX,
+    getThreePointCornerZ
+} from '../court/CourtSpec.js';
+
+// Paint layers, lifted just above the floor (and above each other) to keep them from z-fighting
+const KEY_HEIGHT_ABOVE_FLOOR = 0.002;
+const LOGO_HEIGHT_ABOVE_FLOOR = 0.003;
+const LINE_HEIGHT_ABOVE_FLOOR = 0.004;
+const MITER_LIMIT = 0.25; // Sharpest corner (as the cosine of half its angle) joined with a full miter
+
+// Team colors; the home team defends the basket on the right (positive X) side
+const HOME_COLOR = 0x1d428a;
+const AWAY_COLOR = 0xc8102e;
+const LINE_COLOR = 0xffffff;
+const LOGO_TEXTURE_SIZE = 512;
+
 /**
- * Creates and adds all court line markings to the scene.
- * This function acts as an orchestrator, calling helper functions to draw each part.
- * @param {THREE.Scene} scene - The main Three.js scene to add the lines to.
+ * Paints all court markings and adds them to the scene.
+ * This function acts as an orchestrator, calling helper functions to lay out each part.
+ * @param {THREE.Scene} scene - The main Three.js scene to add the markings to.
+ * @returns {THREE.Group} The group holding every marking, so the court can be rebuilt.
  */
 export function createCourtLines(scene) {
-    const lineMaterial = new THREE.LineBasicMaterial({
-        color: 0xffffff,
-        linewidth: 2
-    });
+    const markingsGroup = new THREE.Group();
+
+    getHoopSides().forEach(side => markingsGroup.add(createKeyFill(side)));
+    const logo = createCenterLogo();
+    if (logo) {
+        markingsGroup.add(logo);
+    }
 
-    createCenterLine(scene, lineMaterial);
-    createCenterCircle(scene, lineMaterial);
+    const polylines = [
+        getBoundaryLinePoints(),
+        getCenterLinePoints(),
+        ...getCenterCirclePoints()
+    ];
 
-    // Create mirrored lines for both sides of the court
-    [-1, 1].forEach(side => {
-        createThreePointLine(scene, side, lineMaterial);
-        createFreeThrowAreaLines(scene, side, lineMaterial);
+    // Mirrored lines for both sides of the court (only one side on a half court)
+    getHoopSides().forEach(side => {
+        polylines.push(getThreePointLinePoints(side));
+        polylines.push(...getFreeThrowAreaPoints(side));
     });
+
+    const lineMaterial = new THREE.MeshPhongMaterial({ color: LINE_COLOR });
+    markingsGroup.add(createLineStrips(polylines, getCourtSpec().lineWidth, lineMaterial));
+
+    scene.add(markingsGroup);
+    return markingsGroup;
 }
 
-// --- Helper Functions ---
+// --- Painting Helpers ---
 
 /**
- * Creates the vertical center line of the court.
- * @param {THREE.Scene} scene - The scene to add the line to.
- * @param {THREE.Material} material - The material for the line.
+ * Turns polylines into flat strips of paint on the floor, merged into one mesh.
+ * Corners are mitered, so the strips join without gaps.
+ * @param {THREE.Vector3[][]} polylines - The center lines of the strips. A polyline that ends where it starts is closed.
+ * @param {number} width - Width of the strips.
+ * @param {THREE.Material} material - The paint material.
+ * @returns {THREE.Mesh} The merged strips.
  */
-function createCenterLine(scene, material) {
+function createLineStrips(polylines, width, material) {
+    const positions = [];
+    polylines.forEach(points => addStrip(positions, points, width / 2));
+
     const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('normal', new THREE.Float32BufferAttribute(upNormals(positions.length / 3), 3));
+    const strips = new THREE.Mesh(geometry, material);
+    strips.receiveShadow = true;
+    return strips;
+}
+
+/**
+ * Adds the triangles of one strip, two per polyline segment.
+ * @param {number[]} positions - Flat vertex positions to add to.
+ * @param {THREE.Vector3[]} linePoints - The center line of the strip, on the floor.
+ * @param {number} halfWidth - Half the width of the strip.
+ */
+function addStrip(positions, linePoints, halfWidth) {
+    // Repeated points (where a straight line meets an arc) have no direction to offset along
+    const points = linePoints.filter((point, i) => i === 0 || point.distanceTo(linePoints[i - 1]) > 1e-6);
+    const count = points.length;
+    const closed = count > 2 && points[0].distanceTo(points[count - 1]) < 1e-6;
+    const segmentNormal = (a, b) => {
+        const length = Math.hypot(b.x - a.x, b.z - a.z);
+        return { x: -(b.z - a.z) / length, z: (b.x - a.x) / length };
+    };
+
+    // Offset of the strip's edges from each point, along the miter between the adjacent segments
+    const offsets = points.map((point, i) => {
+        const before = i > 0 ? segmentNormal(points[i - 1], point) : (closed ? segmentNormal(points[count - 2], point) : null);
+        const after = i < count - 1 ? segmentNormal(point, points[i + 1]) : (closed ? segmentNormal(point, points[1]) : null);
+        if (!before || !after) {
+            const normal = before || after;
+            return { x: normal.x * halfWidth, z: normal.z * halfWidth };
+        }
+        const miterX = before.x + after.x;
+        const miterZ = before.z + after.z;
+        const miterLength = Math.hypot(miterX, miterZ) || 1;
+        const cosine = Math.max(MITER_LIMIT, (miterX * before.x + miterZ * before.z) / miterLength);
+        const scale = halfWidth / (cosine * miterLength);
+        return { x: miterX * scale, z: miterZ * scale };
+    });
+
+    for (let i = 0; i < count - 1; i++) {
+        const a = points[i];
+        const b = points[i + 1];
+        const left1 = [a.x + offsets[i].x, a.y, a.z + offsets[i].z];
+        const right1 = [a.x - offsets[i].x, a.y, a.z - offsets[i].z];
+        const left2 = [b.x + offsets[i + 1].x, b.y, b.z + offsets[i + 1].z];
+        const right2 = [b.x - offsets[i + 1].x, b.y, b.z - offsets[i + 1].z];
+        positions.push(...left1, ...left2, ...right1); // Wound counter-clockwise seen from above
+        positions.push(...right1, ...left2, ...right2);
+    }
+}
+
+/**
+ * Creates the painted area of the key (from the baseline to the free-throw line) in the team color.
+ * @param {number} side - Determines the court side (-1 for left, 1 for right).
+ * @returns {THREE.Mesh} The filled key.
+ */
+function createKeyFill(side) {
+    const keyWidth = getCourtSpec().key.width;
+    const baselineX = getBaselineX(side);
+    const freeThrowLineX = getFreeThrowLineX(side);
+    const length = Math.abs(baselineX - freeThrowLineX);
+
+    const geometry = new THREE.PlaneGeometry(length, keyWidth);
+    geometry.rotateX(-Math.PI / 2); // Lay it flat, facing up
+    const material = new THREE.MeshPhongMaterial({ color: side > 0 ? HOME_COLOR : AWAY_COLOR });
+    const key = new THREE.Mesh(geometry, material);
+    key.position.set((baselineX + freeThrowLineX) / 2, getCourtSurfaceY() + KEY_HEIGHT_ABOVE_FLOOR, 0);
+    key.receiveShadow = true;
+    return key;
+}
+
+/**
+ * Creates the center-court logo, painted inside the center circle. On a half court only
+ * the half inside the court is painted.
+ * @returns {THREE.Mesh|null} The logo, or null if the spec has no center circle.
+ */
+function createCenterLogo() {
+    const { centerCircleRadius, lineWidth, halfCourt } = getCourtSpec();
+    const radius = centerCircleRadius - lineWidth / 2;
+    if (radius <= 0) {
+        return null;
+    }
+
+    const texture = new THREE.CanvasTexture(drawLogo(getCourtSpec().name));
+    texture.anisotropy = 16; // Clamped to what the GPU supports, keeps the logo sharp at grazing angles
+
+    // Circle in the XY plane, laid flat so the top of the logo faces the far (-Z) sideline
+    const thetaStart = halfCourt ? -Math.PI / 2 : 0;
+    const thetaLength = halfCourt ? Math.PI : Math.PI * 2;
+    const geometry = new THREE.CircleGeometry(radius, 64, thetaStart, thetaLength);
+    geometry.rotateX(-Math.PI / 2);
+    const material = new THREE.MeshPhongMaterial({ map: texture });
+    const logo = new THREE.Mesh(geometry, material);
+    logo.position.set(getCenterLineX(), getCourtSurfaceY() + LOGO_HEIGHT_ABOVE_FLOOR, 0);
+    logo.receiveShadow = true;
+    return logo;
+}
+
+/**
+ * Draws the center-court logo: a basketball in a ring in the team colors, with the court's name.
+ * @param {string} name - The name of the court standard, written under the ball.
+ * @returns {HTMLCanvasElement} The logo.
+ */
+function drawLogo(name) {
+    const size = LOGO_TEXTURE_SIZE;
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    const context = canvas.getContext('2d');
+    const center = size / 2;
+    const toCss = color => `#${color.toString(16).padStart(6, '0')}`;
+
+    // Ring: home color outside, away color inside
+    context.fillStyle = toCss(HOME_COLOR);
+    context.beginPath();
+    context.arc(center, center, center, 0, Math.PI * 2);
+    context.fill();
+    context.fillStyle = toCss(AWAY_COLOR);
+    context.beginPath();
+    context.arc(center, center, center * 0.85, 0, Math.PI * 2);
+    context.fill();
+
+    // Basketball with its seams
+    const ballRadius = size * 0.22;
+    const ballY = center - size * 0.06;
+    context.fillStyle = '#f08a24';
+    context.strokeStyle = '#1a1a1a';
+    context.lineWidth = size * 0.012;
+    context.beginPath();
+    context.arc(center, ballY, ballRadius, 0, Math.PI * 2);
+    context.fill();
+    context.stroke();
+    context.beginPath();
+    context.moveTo(center - ballRadius, ballY);
+    context.lineTo(center + ballRadius, ballY);
+    context.moveTo(center, ballY - ballRadius);
+    context.lineTo(center, ballY + ballRadius);
+    context.stroke();
+    context.beginPath();
+    context.arc(center - ballRadius * 1.35, ballY, ballRadius, -Math.PI / 4, Math.PI / 4);
+    context.stroke();
+    context.beginPath();
+    context.arc(center + ballRadius * 1.35, ballY, ballRadius, Math.PI * 3 / 4, Math.PI * 5 / 4);
+    context.stroke();
+
+    // Court name
+    context.fillStyle = '#ffffff';
+    context.font = `bold ${Math.round(size * 0.1)}px Arial, sans-serif`;
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText(name.toUpperCase(), center, center + size * 0.28);
+
+    return canvas;
+}
+
+/**
+ * Normals for flat paint, all facing straight up.
+ * @param {number} count - Number of vertices.
+ * @returns {number[]} Flat normal components.
+ */
+function upNormals(count) {
+    const normals = [];
+    for (let i = 0; i < count; i++) {
+        normals.push(0, 1, 0);
+    }
+    return normals;
+}
+
+// --- Layout Helpers ---
+
+/**
+ * Lays out the sidelines and baselines around the playing area.
+ * @returns {THREE.Vector3[]} The boundary, as one closed polyline.
+ */
+function getBoundaryLinePoints() {
+    const lineY = getLineY();
+    const halfLength = getCourtSpec().length / 2;
+    const halfWidth = getCourtSpec().width / 2;
     const points = [
-        new THREE.Vector3(0, 0.11, -7.5),  // From one sideline to the other
-        new THREE.Vector3(0, 0.11, 7.5)
+        new THREE.Vector3(-halfLength, lineY, -halfWidth),
+        new THREE.Vector3(halfLength, lineY, -halfWidth),
+        new THREE.Vector3(halfLength, lineY, halfWidth),
+        new THREE.Vector3(-halfLength, lineY, halfWidth),
+        new THREE.Vector3(-halfLength, lineY, -halfWidth)
+    ];
+    return points;
+}
+
+/**
+ * Lays out the vertical center line of the court.
+ * @returns {THREE.Vector3[]} The center line's end points.
+ */
+function getCenterLinePoints() {
+    const lineY = getLineY();
+    const centerX = getCenterLineX();
+    const halfWidth = getCourtSpec().width / 2;
+    return [
+        new THREE.Vector3(centerX, lineY, -halfWidth),  // From one sideline to the other
+        new THREE.Vector3(centerX, lineY, halfWidth)
     ];
-    geometry.setFromPoints(points);
-    const line = new THREE.Line(geometry, material);
-    scene.add(line);
 }
 
 /**
- * Creates the center circle of the court.
- * @param {THREE.Scene} scene - The scene to add the circle to.
- * @param {THREE.Material} material - The material for the circle.
+ * Lays out the center circle of the court. On a half court only the half
+ * inside the court is drawn, on the half-court line.
+ * @returns {THREE.Vector3[][]} The circle as a polyline, or nothing if the spec has no center circle.
  */
-function createCenterCircle(scene, material) {
+function getCenterCirclePoints() {
     const points = [];
-    const radius = 1.8; // Standard FIBA center circle radius (1.8m)
+    const lineY = getLineY();
+    const { centerCircleRadius: radius, halfCourt } = getCourtSpec();
+    if (radius <= 0) {
+        return [];
+    }
+    const centerX = getCenterLineX();
+    const startAngle = halfCourt ? -Math.PI / 2 : 0;
+    const sweep = halfCourt ? Math.PI : Math.PI * 2;
     const segments = 32;
     for (let i = 0; i <= segments; i++) {
-        const angle = (i / segments) * Math.PI * 2;
-        const x = Math.cos(angle) * radius;
+        const angle = startAngle + (i / segments) * sweep;
+        const x = centerX + Math.cos(angle) * radius;
         const z = Math.sin(angle) * radius;
-        points.push(new THREE.Vector3(x, 0.11, z));
+        points.push(new THREE.Vector3(x, lineY, z));
     }
-    const geometry = new THREE.BufferGeometry().setFromPoints(points);
-    const circle = new THREE.Line(geometry, material);
-    scene.add(circle);
+    return [points];
 }
 
 /**
- * Creates the free-throw lane lines and the semi-circle.
- * @param {THREE.Scene} scene - The scene to add the lines to.
+ * Lays out the free-throw lane lines and the semi-circle.
  * @param {number} side - Determines the court side (-1 for left, 1 for right).
- * @param {THREE.Material} material - The material for the lines.
+ * @returns {THREE.Vector3[][]} The lane lines, the free-throw line and the semi-circle, as polylines.
  */
-function createFreeThrowAreaLines(scene, side, material) {
-    const courtLength = 30;
-    const keyWidth = 3.6; // Standard FIBA key width (3.6m)
-    const freeThrowLineDistance = 5.8; // Standard FIBA distance from baseline (5.8m)
-    const baselineX = side * (courtLength / 2);
-    const freeThrowLineX = side * (courtLength / 2 - freeThrowLineDistance);
-
-    // Create the two parallel lines of the key (the lane lines)
+function getFreeThrowAreaPoints(side) {
+    const lineY = getLineY();
+    const keyWidth = getCourtSpec().key.width;
+    const baselineX = getBaselineX(side);
+    const freeThrowLineX = getFreeThrowLineX(side);
+
+    // The two parallel lines of the key (the lane lines)
     const laneLinePoints1 = [
-        new THREE.Vector3(baselineX, 0.11, -keyWidth / 2),
-        new THREE.Vector3(freeThrowLineX, 0.11, -keyWidth / 2)
+        new THREE.Vector3(baselineX, lineY, -keyWidth / 2),
+        new THREE.Vector3(freeThrowLineX, lineY, -keyWidth / 2)
     ];
-    const laneLineGeom1 = new THREE.BufferGeometry().setFromPoints(laneLinePoints1);
-    const laneLine1 = new THREE.Line(laneLineGeom1, material);
-    scene.add(laneLine1);
-
     const laneLinePoints2 = [
-        new THREE.Vector3(baselineX, 0.11, keyWidth / 2),
-        new THREE.Vector3(freeThrowLineX, 0.11, keyWidth / 2)
+        new THREE.Vector3(baselineX, lineY, keyWidth / 2),
+        new THREE.Vector3(freeThrowLineX, lineY, keyWidth / 2)
     ];
-    const laneLineGeom2 = new THREE.BufferGeometry().setFromPoints(laneLinePoints2);
-    const laneLine2 = new THREE.Line(laneLineGeom2, material);
-    scene.add(laneLine2);
 
-    // Create the free-throw line connecting the lane lines
+    // The free-throw line connecting the lane lines
     const freeThrowLinePoints = [
-        new THREE.Vector3(freeThrowLineX, 0.11, -keyWidth / 2),
-        new THREE.Vector3(freeThrowLineX, 0.11, keyWidth / 2)
+        new THREE.Vector3(freeThrowLineX, lineY, -keyWidth / 2),
+        new THREE.Vector3(freeThrowLineX, lineY, keyWidth / 2)
     ];
-    const freeThrowLineGeom = new THREE.BufferGeometry().setFromPoints(freeThrowLinePoints);
-    const freeThrowLine = new THREE.Line(freeThrowLineGeom, material);
-    scene.add(freeThrowLine);
 
-    // Create the free-throw semi-circle
-    const circleRadius = keyWidth / 2; // The semi-circle's radius is half the key width
+    // The free-throw semi-circle
+    const circleRadius = getCourtSpec().key.freeThrowCircleRadius;
     const arcPoints = [];
     const segments = 32;
 
@@ -114,41 +348,35 @@ function createFreeThrowAreaLines(scene, side, material) {
         const angle = (i / segments) * Math.PI - Math.PI / 2;
         const x = freeThrowLineX - side * Math.cos(angle) * circleRadius;
         const z = Math.sin(angle) * circleRadius;
-        arcPoints.push(new THREE.Vector3(x, 0.11, z));
+        arcPoints.push(new THREE.Vector3(x, lineY, z));
     }
 
-    const arcGeom = new THREE.BufferGeometry().setFromPoints(arcPoints);
-    const freeThrowArc = new THREE.Line(arcGeom, material);
-    scene.add(freeThrowArc);
+    return [laneLinePoints1, laneLinePoints2, freeThrowLinePoints, arcPoints];
 }
 
 /**
- * Creates a three-point line, including the straight and curved sections.
- * @param {THREE.Scene} scene - The scene to add the line to.
+ * Lays out a three-point line, including the straight and curved sections.
  * @param {number} side - Determines the court side (-1 for left, 1 for right).
- * @param {THREE.Material} material - The material for the line.
+ * @returns {THREE.Vector3[]} The three-point line, as one polyline.
  */
-function createThreePointLine(scene, side, material) {
+function getThreePointLinePoints(side) {
     const points = [];
-    const courtLength = 30;
-    const courtWidth = 15;
-    const baselineX = side * (courtLength / 2);
+    const lineY = getLineY();
+    const baselineX = getBaselineX(side);
 
-    const threePointRadius = 6.75; // FIBA 3-point line radius
-    const hoopDistanceFromBaseline = 1.575; // FIBA distance
-    const hoopX = side * (courtLength / 2 - hoopDistanceFromBaseline);
+    const threePointRadius = getCourtSpec().threePoint.radius;
+    const hoopX = getBasketCenter(side).x; // The arc is centered on the basket
 
     // The straight part of the 3-point line runs parallel to the sideline.
-    const threePointLineFromSideline = 1.4;
-    const straightLineZ = courtWidth / 2 - threePointLineFromSideline;
+    const straightLineZ = getThreePointCornerZ();
 
     // Calculate the angle where the straight line meets the arc
     const intersectAngle = Math.asin(straightLineZ / threePointRadius);
     const intersectX = hoopX - side * Math.cos(intersectAngle) * threePointRadius;
 
     // 1. First straight line (from baseline to the start of the arc)
-    points.push(new THREE.Vector3(baselineX, 0.11, straightLineZ));
-    points.push(new THREE.Vector3(intersectX, 0.11, straightLineZ));
+    points.push(new THREE.Vector3(baselineX, lineY, straightLineZ));
+    points.push(new THREE.Vector3(intersectX, lineY, straightLineZ));
 
     // 2. The main arc
     const arcSegments = 40;
@@ -159,14 +387,20 @@ function createThreePointLine(scene, side, material) {
         const angle = startAngle + (endAngle - startAngle) * (i / arcSegments);
         const x = hoopX - side * Math.cos(angle) * threePointRadius;
         const z = Math.sin(angle) * threePointRadius;
-        points.push(new THREE.Vector3(x, 0.11, z));
+        points.push(new THREE.Vector3(x, lineY, z));
     }
 
     // 3. Second straight line (from the end of the arc back to the baseline)
-    points.push(new THREE.Vector3(intersectX, 0.11, -straightLineZ));
-    points.push(new THREE.Vector3(baselineX, 0.11, -straightLineZ));
+    points.push(new THREE.Vector3(intersectX, lineY, -straightLineZ));
+    points.push(new THREE.Vector3(baselineX, lineY, -straightLineZ));
+
+    return points;
+}
 
-    const lineGeometry = new THREE.BufferGeometry().setFromPoints(points);
-    const threePointLine = new THREE.Line(lineGeometry, material);
-    scene.add(threePointLine);
-}
\ No newline at end of file
+/**
+ * Gets the height at which the lines are painted, just above the floor surface.
+ * @returns {number} The Y coordinate of the lines.
+ */
+function getLineY() {
+    return getCourtSurfaceY() + LINE_HEIGHT_ABOVE_FLOOR;
+}
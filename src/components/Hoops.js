@@ -1,54 +1,169 @@
-// Hoops.js - Basketball hoops, backboards, rims, nets, and supports
+// Hoops.js - Basketball hoops, backboards, rims and supports, and the shape of the nets
 // This file is structured to be modular, with helper functions for each component.
+// Where the baskets stand on the court comes from the active spec in CourtSpec.js.
+// The nets move, so they are simulated in NetPhysics.js and drawn by Net.js.
+
+import { getCourtSpec, getHoopSides, getBaselineX, getBackboardX, getBasketCenter } from '../court/CourtSpec.js';
+import { createMergedLines } from '../utils/MergedLines.js';
 
 // --- Constants & Dimensions ---
-const COURT_LENGTH = 30;
-const HOOP_HEIGHT = 3.05; // 10 feet
 const BACKBOARD_WIDTH = 1.8;
 const BACKBOARD_HEIGHT = 1.05;
-const RIM_RADIUS = 0.225;
-const RIM_TUBE_THICKNESS = 0.02;
-const MAIN_POLE_HEIGHT = 3.85;
+export const RIM_RADIUS = 0.225;
+export const RIM_TUBE_THICKNESS = 0.02;
+const BACKBOARD_THICKNESS = 0.1;
+const BACKBOARD_CENTER_ABOVE_RIM = 0.05;
+const POLE_ABOVE_ARM = 0.7;
+const MAIN_POLE_RADIUS = 0.08;
 const ARM_THICKNESS = 0.08;
-const HORIZONTAL_ARM_LENGTH = 0.73;
+const POLE_DISTANCE_BEHIND_BASELINE = 1.0; // The pole stands off the court, the arm reaches over the baseline
 const BACKBOARD_SUPPORT_HEIGHT = 0.5;
+const BACKBOARD_ABOVE_SUPPORT = 0.2; // Board center above the middle of its support
+const RIM_BRACKET_THICKNESS = 0.03;
+const NET_SEGMENTS = 12;
+const NET_ROWS = 8;
+const NET_HEIGHT = 0.45;
+const NET_BOTTOM_RADIUS = RIM_RADIUS * 0.6;
+const NET_PUFFINESS = 0.02;
 
-// Main function to create and add both hoops to the scene.
+/**
+ * Main function to create and add both hoops to the scene.
+ * Both hoops share their materials, and the backboard markings of both are merged into one LineSegments.
+ * @param {THREE.Scene} scene - The main scene.
+ * @returns {THREE.Group} The group holding every hoop, so the court can be rebuilt.
+ */
 export function createHoops(scene) {
-    // Create and add both hoops, one on each side of the court.
-    addHoop(scene, 1);  // Right side
-    addHoop(scene, -1); // Left side
+    const hoopsGroup = new THREE.Group();
+
+    // --- Materials ---
+    const materials = {
+        support: new THREE.MeshPhongMaterial({ color: 0x606060, metalness: 0.3, roughness: 0.5 }),
+        backboard: new THREE.MeshPhongMaterial({ color: 0xffffff, transparent: true, opacity: 0.8 }),
+        rim: new THREE.MeshPhongMaterial({ color: 0xffa500, metalness: 0.2, roughness: 0.1 })
+    };
+    const markingMaterial = new THREE.LineBasicMaterial({ color: 0x333333, linewidth: 2 });
+
+    // Create and add both hoops, one on each side of the court (only one on a half court).
+    const markings = getHoopSides().map(side => addHoop(hoopsGroup, side, materials));
+    hoopsGroup.add(createMergedLines(markings, markingMaterial));
+
+    scene.add(hoopsGroup);
+    return hoopsGroup;
+}
+
+/**
+ * Returns the collision shapes of both hoop assemblies, so the ball physics
+ * collides against exactly the geometry that is rendered.
+ * Every shape carries a `material` name ('rim', 'glass' or 'steel') that the
+ * physics uses to pick its restitution. The supports are marked `outOfBounds`:
+ * by the rules, a ball touching them is out.
+ * @returns {Object[]} Torus, box and cylinder shapes for both hoops.
+ */
+export function getHoopColliders() {
+    return getHoopSides().flatMap(side => {
+        const shapes = getHoopShapes(side);
+        return [
+            { type: 'torus', material: 'rim', side, ...shapes.rim },
+            { type: 'box', material: 'glass', side, ...shapes.backboard },
+            { type: 'box', material: 'steel', side, outOfBounds: true, ...shapes.horizontalArm },
+            { type: 'box', material: 'steel', side, outOfBounds: true, ...shapes.backboardSupport },
+            { type: 'box', material: 'steel', side, ...shapes.rimBracket },
+            { type: 'cylinder', material: 'steel', side, outOfBounds: true, ...shapes.mainPole }
+        ];
+    });
+}
+
+/**
+ * Returns the resting shape of the "puffy" net hanging from the rim on one side of the court.
+ * The net is a grid of knots: `segments` knots around each of the `rows + 1` rings,
+ * from the rim (row 0) down to the bottom of the net.
+ * @param {number} side - Determines the side of the court (-1 for left, 1 for right).
+ * @returns {{center: Object, segments: number, rows: number, ringYs: number[], ringRadii: number[]}}
+ */
+export function getNetLayout(side) {
+    const center = getBasketCenter(side);
+    const ringYs = [];
+    const ringRadii = [];
+    for (let row = 0; row <= NET_ROWS; row++) {
+        const t = row / NET_ROWS;
+        ringYs.push(center.y - t * NET_HEIGHT);
+        const baseRadius = RIM_RADIUS + (NET_BOTTOM_RADIUS - RIM_RADIUS) * t;
+        const puff = NET_PUFFINESS * Math.sin(Math.PI * t);
+        ringRadii.push(baseRadius + puff);
+    }
+    return { center, segments: NET_SEGMENTS, rows: NET_ROWS, ringYs, ringRadii };
+}
+
+/**
+ * Computes the placement and dimensions of every solid hoop component for one side of the court.
+ * Both the meshes and the collision shapes are built from this.
+ * @param {number} side - Determines the side of the court (-1 for left, 1 for right).
+ */
+function getHoopShapes(side) {
+    const backboardX = getBackboardX(side) + side * (BACKBOARD_THICKNESS / 2); // Board center, behind its face
+    const backboardRearX = backboardX + side * (BACKBOARD_THICKNESS / 2);
+    // The pole stands on the runoff, however narrow, rather than off the floor
+    const poleDistance = Math.min(POLE_DISTANCE_BEHIND_BASELINE, getCourtSpec().runoff);
+    const poleX = getBaselineX(side) + side * poleDistance;
+    const horizontalArmLength = Math.abs(poleX - backboardRearX);
+    const rimCenter = getBasketCenter(side);
+    // The board is hung at the rim's height, and the arm and pole hold it there
+    const backboardY = rimCenter.y + BACKBOARD_CENTER_ABOVE_RIM;
+    const armY = backboardY + (BACKBOARD_SUPPORT_HEIGHT / 2) - BACKBOARD_ABOVE_SUPPORT;
+    const mainPoleHeight = armY + POLE_ABOVE_ARM;
+    const rimRearX = rimCenter.x + side * (RIM_RADIUS + RIM_TUBE_THICKNESS);
+    const rimBracketLength = Math.abs(getBackboardX(side) - rimRearX);
+
+    return {
+        mainPole: {
+            center: { x: poleX, y: mainPoleHeight / 2, z: 0 },
+            radius: MAIN_POLE_RADIUS,
+            height: mainPoleHeight
+        },
+        horizontalArm: {
+            center: { x: backboardRearX + side * (horizontalArmLength / 2), y: armY, z: 0 },
+            size: { x: horizontalArmLength, y: ARM_THICKNESS, z: ARM_THICKNESS }
+        },
+        backboardSupport: {
+            center: { x: backboardRearX + side * (ARM_THICKNESS / 2), y: armY - (BACKBOARD_SUPPORT_HEIGHT / 2), z: 0 },
+            size: { x: ARM_THICKNESS, y: BACKBOARD_SUPPORT_HEIGHT, z: ARM_THICKNESS }
+        },
+        backboard: {
+            center: { x: backboardX, y: backboardY, z: 0 },
+            size: { x: BACKBOARD_THICKNESS, y: BACKBOARD_HEIGHT, z: BACKBOARD_WIDTH }
+        },
+        rimBracket: {
+            center: { x: rimRearX + side * (rimBracketLength / 2), y: rimCenter.y, z: 0 },
+            size: { x: rimBracketLength, y: RIM_BRACKET_THICKNESS, z: RIM_BRACKET_THICKNESS * 4 }
+        },
+        rim: {
+            center: rimCenter,
+            radius: RIM_RADIUS,
+            tube: RIM_TUBE_THICKNESS
+        }
+    };
 }
 
 /**
  * Creates a single complete hoop assembly and adds it to the scene.
- * @param {THREE.Scene} scene - The main scene.
+ * @param {THREE.Group} scene - The group holding the hoops.
  * @param {number} side - Determines the side of the court (-1 for left, 1 for right).
+ * @param {{support: THREE.Material, backboard: THREE.Material, rim: THREE.Material}} materials - Shared by both hoops.
+ * @returns {THREE.Vector3[]} The backboard markings, to be merged with the other hoop's.
  */
-function addHoop(scene, side) {
+function addHoop(scene, side, materials) {
     const hoopGroup = new THREE.Group();
 
-    // --- Materials ---
-    const supportMaterial = new THREE.MeshPhongMaterial({ color: 0x606060, metalness: 0.3, roughness: 0.5 });
-    const backboardMaterial = new THREE.MeshPhongMaterial({ color: 0xffffff, transparent: true, opacity: 0.8 });
-    const rimMaterial = new THREE.MeshPhongMaterial({ color: 0xffa500, metalness: 0.2, roughness: 0.1 });
-    const netMaterial = new THREE.LineBasicMaterial({ color: 0xffffff });
-    const markingMaterial = new THREE.LineBasicMaterial({ color: 0x333333, linewidth: 2 });
-
-    // --- Positions ---
-    const baselineX = side * (COURT_LENGTH / 2);
-    const backboardX = baselineX + 0.02; // Position backboard slightly behind baseline
-    const poleX = backboardX + side * HORIZONTAL_ARM_LENGTH;
-    const rimX = backboardX - side * (RIM_RADIUS + 0.05);
+    // --- Shapes ---
+    const shapes = getHoopShapes(side);
 
     // --- Component Creation ---
-    createSupport(hoopGroup, supportMaterial, { poleX, backboardX }, side);
-    const backboard = createBackboard(hoopGroup, backboardMaterial, { backboardX });
-    createBackboardMarkings(hoopGroup, markingMaterial, backboard.position, side);
-    createRim(hoopGroup, rimMaterial, { rimX });
-    createNet(hoopGroup, netMaterial, { rimX });
+    createSupport(hoopGroup, materials.support, shapes);
+    const backboard = createBackboard(hoopGroup, materials.backboard, shapes);
+    createRim(hoopGroup, materials.rim, shapes);
 
     scene.add(hoopGroup);
+    return getBackboardMarkingPoints(backboard.position, side);
 }
 
 // --- Helper Functions for Hoop Components ---
@@ -56,48 +171,52 @@ function addHoop(scene, side) {
 /**
  * Creates the support structure (pole and arms) for the hoop.
  */
-function createSupport(group, material, positions, side) {
-    const { poleX, backboardX } = positions;
+function createSupport(group, material, shapes) {
+    const { mainPole, horizontalArm, backboardSupport } = shapes;
 
     // 1. Main Vertical Pole
-    const mainPoleGeometry = new THREE.CylinderGeometry(0.08, 0.08, MAIN_POLE_HEIGHT, 32);
-    const mainPole = new THREE.Mesh(mainPoleGeometry, material);
-    mainPole.position.set(poleX, MAIN_POLE_HEIGHT / 2, 0);
-    group.add(mainPole);
+    const mainPoleGeometry = new THREE.CylinderGeometry(mainPole.radius, mainPole.radius, mainPole.height, 32);
+    group.add(createShapeMesh(mainPoleGeometry, material, mainPole.center));
 
     // 2. Horizontal Arm
-    const armY = MAIN_POLE_HEIGHT - 0.7;
-    const horizontalArmGeometry = new THREE.BoxGeometry(HORIZONTAL_ARM_LENGTH, ARM_THICKNESS, ARM_THICKNESS);
-    const horizontalArm = new THREE.Mesh(horizontalArmGeometry, material);
-    horizontalArm.position.set(backboardX + side * (HORIZONTAL_ARM_LENGTH / 2), armY, 0);
-    group.add(horizontalArm);
+    const { size: armSize } = horizontalArm;
+    const horizontalArmGeometry = new THREE.BoxGeometry(armSize.x, armSize.y, armSize.z);
+    group.add(createShapeMesh(horizontalArmGeometry, material, horizontalArm.center));
 
     // 3. Backboard Support
-    const backboardSupportGeometry = new THREE.BoxGeometry(ARM_THICKNESS, BACKBOARD_SUPPORT_HEIGHT, ARM_THICKNESS);
-    const backboardSupport = new THREE.Mesh(backboardSupportGeometry, material);
-    backboardSupport.position.set(backboardX, armY - (BACKBOARD_SUPPORT_HEIGHT / 2), 0);
-    group.add(backboardSupport);
+    const { size: supportSize } = backboardSupport;
+    const backboardSupportGeometry = new THREE.BoxGeometry(supportSize.x, supportSize.y, supportSize.z);
+    group.add(createShapeMesh(backboardSupportGeometry, material, backboardSupport.center));
 }
 
 /**
  * Creates the backboard.
  * @returns {THREE.Mesh} The created backboard mesh.
  */
-function createBackboard(group, material, positions) {
-    const { backboardX } = positions;
-    const armY = MAIN_POLE_HEIGHT - 0.7;
+function createBackboard(group, material, shapes) {
+    const { center, size } = shapes.backboard;
 
-    const backboardGeometry = new THREE.BoxGeometry(0.1, BACKBOARD_HEIGHT, BACKBOARD_WIDTH);
-    const backboard = new THREE.Mesh(backboardGeometry, material);
-    backboard.position.set(backboardX, armY - (BACKBOARD_SUPPORT_HEIGHT / 2) + 0.2, 0);
+    const backboardGeometry = new THREE.BoxGeometry(size.x, size.y, size.z);
+    const backboard = createShapeMesh(backboardGeometry, material, center);
     group.add(backboard);
     return backboard;
 }
 
 /**
- * Creates the markings on the backboard (inner rectangle).
+ * Creates a mesh centered on a shape's center point.
+ * @returns {THREE.Mesh} The positioned mesh.
  */
-function createBackboardMarkings(group, material, backboardPosition, side) {
+function createShapeMesh(geometry, material, center) {
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.position.set(center.x, center.y, center.z);
+    return mesh;
+}
+
+/**
+ * Lays out the markings on the backboard (inner rectangle).
+ * @returns {THREE.Vector3[]} The rectangle, as one closed polyline.
+ */
+function getBackboardMarkingPoints(backboardPosition, side) {
     const lineX = backboardPosition.x - side * 0.06; // Place lines just in front of the board
     const lineY = backboardPosition.y;
     const lineZ = backboardPosition.z;
@@ -111,91 +230,21 @@ function createBackboardMarkings(group, material, backboardPosition, side) {
         new THREE.Vector3(lineX, lineY + innerHeight / 2, lineZ - innerWidth / 2),
         new THREE.Vector3(lineX, lineY - innerHeight / 2, lineZ - innerWidth / 2)
     ];
-    const geometry = new THREE.BufferGeometry().setFromPoints(points);
-    const line = new THREE.Line(geometry, material);
-    group.add(line);
+    return points;
 }
 
 /**
  * Creates the basketball rim.
  */
-function createRim(group, material, positions) {
-    const { rimX } = positions;
-    const rimGeometry = new THREE.TorusGeometry(RIM_RADIUS, RIM_TUBE_THICKNESS, 16, 100);
-    const rim = new THREE.Mesh(rimGeometry, material);
-    rim.position.set(rimX, HOOP_HEIGHT, 0);
+function createRim(group, material, shapes) {
+    const { center, radius, tube } = shapes.rim;
+    const rimGeometry = new THREE.TorusGeometry(radius, tube, 16, 100);
+    const rim = createShapeMesh(rimGeometry, material, center);
     rim.rotation.x = Math.PI / 2;
     group.add(rim);
-}
-
-/**
- * Creates the "puffy" basketball net.
- */
-function createNet(group, material, positions) {
-    const { rimX } = positions;
-    const netSegments = 12;
-    const netRows = 8;
-    const netBottomRadius = RIM_RADIUS * 0.6;
-    const netHeightReal = 0.45;
-    const netPuffiness = 0.02;
 
-    const ringYs = [];
-    const ringRadii = [];
-    for (let row = 0; row <= netRows; row++) {
-        const t = row / netRows;
-        ringYs.push(HOOP_HEIGHT - t * netHeightReal);
-        const baseRadius = RIM_RADIUS + (netBottomRadius - RIM_RADIUS) * t;
-        const puff = netPuffiness * Math.sin(Math.PI * t);
-        ringRadii.push(baseRadius + puff);
-    }
-
-    // Vertical lines
-    for (let i = 0; i < netSegments; i++) {
-        const angle = (i / netSegments) * Math.PI * 2;
-        const points = [];
-        for (let row = 0; row <= netRows; row++) {
-            const x = rimX + Math.cos(angle) * ringRadii[row];
-            const z = Math.sin(angle) * ringRadii[row];
-            const y = ringYs[row];
-            points.push(new THREE.Vector3(x, y, z));
-        }
-        const geometry = new THREE.BufferGeometry().setFromPoints(points);
-        const netLine = new THREE.Line(geometry, material);
-        group.add(netLine);
-    }
-
-    // Horizontal rings
-    for (let row = 1; row < netRows; row++) {
-        const points = [];
-        for (let i = 0; i <= netSegments; i++) {
-            const angle = (i / netSegments) * Math.PI * 2;
-            const x = rimX + Math.cos(angle) * ringRadii[row];
-            const z = Math.sin(angle) * ringRadii[row];
-            const y = ringYs[row];
-            points.push(new THREE.Vector3(x, y, z));
-        }
-        const geometry = new THREE.BufferGeometry().setFromPoints(points);
-        const ringLine = new THREE.Line(geometry, material);
-        group.add(ringLine);
-    }
-
-    // Diagonal lines
-    for (let row = 0; row < netRows; row++) {
-        for (let i = 0; i < netSegments; i++) {
-            const angle1 = (i / netSegments) * Math.PI * 2;
-            const angle2 = ((i + 1) % netSegments / netSegments) * Math.PI * 2;
-            const x1 = rimX + Math.cos(angle1) * ringRadii[row];
-            const z1 = Math.sin(angle1) * ringRadii[row];
-            const y1 = ringYs[row];
-            const x2 = rimX + Math.cos(angle2) * ringRadii[row + 1];
-            const z2 = Math.sin(angle2) * ringRadii[row + 1];
-            const y2 = ringYs[row + 1];
-            const geometry = new THREE.BufferGeometry().setFromPoints([
-                new THREE.Vector3(x1, y1, z1),
-                new THREE.Vector3(x2, y2, z2)
-            ]);
-            const diagLine = new THREE.Line(geometry, material);
-            group.add(diagLine);
-        }
-    }
+    // Bracket holding the rim out from the backboard
+    const { size: bracketSize } = shapes.rimBracket;
+    const bracketGeometry = new THREE.BoxGeometry(bracketSize.x, bracketSize.y, bracketSize.z);
+    group.add(createShapeMesh(bracketGeometry, material, shapes.rimBracket.center));
 }
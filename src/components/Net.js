@@ -0,0 +1,38 @@
+/**
+ * Net.js
+ *
+ * Draws one basketball net from its simulation in NetPhysics.js. All the strings
+ * are a single LineSegments object over the knot positions, which are refreshed
+ * every frame.
+ */
+
+export class Net {
+    /**
+     * @param {NetPhysics} physics - The simulated net to draw.
+     * @param {THREE.LineBasicMaterial} material - The string material, shared by all nets.
+     */
+    constructor(physics, material) {
+        this.physics = physics;
+
+        this.renderPositions = new Float32Array(physics.positions.length);
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(this.renderPositions, 3));
+        geometry.setIndex(new THREE.BufferAttribute(physics.edges, 1));
+        this.mesh = new THREE.LineSegments(geometry, material);
+        this.mesh.frustumCulled = false; // The knots move, the bounding sphere of the rest shape may not hold them
+
+        this.render(1);
+    }
+
+    /**
+     * Draws the net between its previous and current simulation state.
+     * @param {number} alpha - How far (0 to 1) the frame is between the two physics states.
+     */
+    render(alpha) {
+        const { positions, previousPositions } = this.physics;
+        for (let k = 0; k < positions.length; k++) {
+            this.renderPositions[k] = previousPositions[k] + (positions[k] - previousPositions[k]) * alpha;
+        }
+        this.mesh.geometry.attributes.position.needsUpdate = true;
+    }
+}
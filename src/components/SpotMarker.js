@@ -0,0 +1,74 @@
+/**
+ * SpotMarker.js
+ *
+ * A glowing target on the floor, marking the spot a drill is shot from. It is a ring
+ * around a soft disc, drawn additively so it glows over the wood, and it pulses
+ * slowly so it stands out from the painted lines.
+ */
+
+import { getCourtSurfaceY } from '../court/CourtSpec.js';
+
+const RING_INNER_RADIUS = 0.45;
+const RING_OUTER_RADIUS = 0.55;
+const DISC_RADIUS = 0.45;
+const MARKER_COLOR = 0x33ddff;
+const PULSE_PERIOD = 1.5; // Seconds per pulse
+const LIFT = 0.012; // Above the floor and the painted lines, so they don't flicker through it
+
+export class SpotMarker {
+    /**
+     * @param {THREE.Scene} scene - The main scene to add the marker to.
+     */
+    constructor(scene) {
+        const glow = {
+            color: MARKER_COLOR,
+            transparent: true,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false,
+            side: THREE.DoubleSide
+        };
+        this.ringMaterial = new THREE.MeshBasicMaterial({ ...glow, opacity: 0.9 });
+        this.discMaterial = new THREE.MeshBasicMaterial({ ...glow, opacity: 0.3 });
+
+        this.mesh = new THREE.Group();
+        const ring = new THREE.Mesh(new THREE.RingGeometry(RING_INNER_RADIUS, RING_OUTER_RADIUS, 48), this.ringMaterial);
+        const disc = new THREE.Mesh(new THREE.CircleGeometry(DISC_RADIUS, 48), this.discMaterial);
+        [ring, disc].forEach(part => {
+            part.rotation.x = -Math.PI / 2; // Lay flat on the floor
+            this.mesh.add(part);
+        });
+        this.mesh.visible = false;
+        scene.add(this.mesh);
+    }
+
+    /**
+     * Shows the marker on a spot of the floor.
+     * @param {{x: number, z: number}} spot - The spot to mark.
+     */
+    show(spot) {
+        this.mesh.position.set(spot.x, getCourtSurfaceY() + LIFT, spot.z);
+        this.mesh.visible = true;
+    }
+
+    /**
+     * Hides the marker, outside drills.
+     */
+    hide() {
+        this.mesh.visible = false;
+    }
+
+    /**
+     * Pulses the glow. Call once per frame.
+     * @param {number} timestamp - Current frame time in milliseconds.
+     */
+    render(timestamp) {
+        if (!this.mesh.visible) {
+            return;
+        }
+        const pulse = 0.5 + 0.5 * Math.sin(timestamp / 1000 * 2 * Math.PI / PULSE_PERIOD);
+        this.ringMaterial.opacity = 0.6 + 0.4 * pulse;
+        this.discMaterial.opacity = 0.15 + 0.25 * pulse;
+        const scale = 1 + 0.08 * pulse;
+        this.mesh.scale.set(scale, 1, scale);
+    }
+}
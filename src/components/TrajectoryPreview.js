@@ -0,0 +1,85 @@
+/**
+ * TrajectoryPreview.js
+ *
+ * Draws the predicted flight of the next shot as a dotted arc. The prediction comes
+ * from `BallPhysics.predictShot`, which runs the same simulation forward, so the arc
+ * is the path the ball will actually take. The full arc is green when the shot gets to
+ * the rim and red when it doesn't. The harder preview levels only show the first part
+ * of the arc, in white, and leave the rest to the player.
+ */
+
+const DOT_SPACING = 3; // Physics steps between two dots
+const DOT_SIZE = 0.08;
+const MAX_DOTS = 256;
+const REACHES_RIM_COLOR = 0x33dd55;
+const MISSES_RIM_COLOR = 0xff4040;
+const PARTIAL_ARC_COLOR = 0xffffff;
+
+// Preview levels, cycled with P. `fraction` is the part of the flight shown.
+export const PREVIEW_LEVELS = [
+    { name: 'Easy', fraction: 1 },
+    { name: 'Medium', fraction: 0.5 },
+    { name: 'Hard', fraction: 0.25 },
+    { name: 'Off', fraction: 0 }
+];
+
+export class TrajectoryPreview {
+    /**
+     * @param {THREE.Scene} scene - The main scene to add the arc to.
+     */
+    constructor(scene) {
+        this.positions = new Float32Array(MAX_DOTS * 3);
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(this.positions, 3));
+        geometry.setDrawRange(0, 0);
+        const material = new THREE.PointsMaterial({
+            color: PARTIAL_ARC_COLOR,
+            size: DOT_SIZE,
+            transparent: true,
+            opacity: 0.8,
+            depthWrite: false
+        });
+        this.mesh = new THREE.Points(geometry, material);
+        this.mesh.frustumCulled = false; // The arc changes every time it is shown
+        this.mesh.visible = false;
+        scene.add(this.mesh);
+    }
+
+    /**
+     * Shows the first part of a predicted shot.
+     * @param {{points: Object[], reachesRim: boolean}} prediction - From `BallPhysics.predictShot`.
+     * @param {number} fraction - Part of the flight to show, from 0 to 1. Only the full arc
+     *        tells whether the shot gets to the rim.
+     */
+    show(prediction, fraction) {
+        const { points, reachesRim } = prediction;
+        const lastShown = Math.floor((points.length - 1) * fraction);
+        let count = 0;
+        for (let i = DOT_SPACING; i <= lastShown && count < MAX_DOTS; i += DOT_SPACING) {
+            this._setDot(count++, points[i]);
+        }
+        if (fraction >= 1 && count < MAX_DOTS && lastShown > 0) {
+            this._setDot(count++, points[lastShown]); // Mark where the ball ends up
+        }
+
+        const geometry = this.mesh.geometry;
+        geometry.setDrawRange(0, count);
+        geometry.attributes.position.needsUpdate = true;
+        this.mesh.material.color.setHex(fraction < 1 ? PARTIAL_ARC_COLOR : (reachesRim ? REACHES_RIM_COLOR : MISSES_RIM_COLOR));
+        this.mesh.visible = count > 0;
+    }
+
+    /**
+     * Hides the arc, e.g. while the ball is in the air.
+     */
+    hide() {
+        this.mesh.visible = false;
+    }
+
+    /** @private */
+    _setDot(index, point) {
+        this.positions[index * 3] = point.x;
+        this.positions[index * 3 + 1] = point.y;
+        this.positions[index * 3 + 2] = point.z;
+    }
+}
@@ -0,0 +1,330 @@
+/**
+ * CourtSpec.js
+ *
+ * This module is the single source of truth for the court layout: its size, line
+ * markings and where the baskets are. The floor, the court lines, the hoops and the
+ * ball physics all read from it, so the drawn rim, the painted arc and the scoring
+ * zone always agree on where the basket is.
+ *
+ * One spec is active at a time. It can be switched at runtime between the built-in
+ * standards (FIBA, NBA, NCAA) or a custom spec loaded from JSON, and listeners are
+ * notified so everything that depends on the court can rebuild.
+ */
+
+const FEET = 0.3048; // Meters per foot
+const INCH = FEET / 12;
+
+// --- Court Standards (in meters) ---
+export const COURT_STANDARDS = {
+    fiba: {
+        name: 'FIBA',
+        length: 28,              // Baseline to baseline
+        width: 15,               // Sideline to sideline
+        runoff: 1,               // Floor around the lines, out of bounds
+        thickness: 0.2,          // Height of the floor box, centered at y=0
+        halfCourt: false,        // A half court only has the basket on the right (positive X) side
+        lineWidth: 0.05,         // Width of the painted lines
+        centerCircleRadius: 1.8,
+        threePoint: {
+            radius: 6.75,            // Arc radius, measured from the basket center
+            sidelineDistance: 1.4    // Distance of the straight corner sections from the sideline
+        },
+        key: {
+            width: 3.6,
+            freeThrowDistance: 5.8,  // Free-throw line distance from the baseline
+            freeThrowCircleRadius: 1.8,
+            restrictedAreaRadius: 1.25 // Measured from the basket center, no charges (and dunks) inside it
+        },
+        hoop: {
+            height: 3.05,                // Rim height above the floor (10 feet)
+            rimFromBaseline: 1.575,      // Basket center distance from the baseline
+            backboardFromBaseline: 1.2   // Backboard face distance from the baseline
+        }
+    },
+    nba: {
+        name: 'NBA',
+        length: 94 * FEET,
+        width: 50 * FEET,
+        runoff: 1,
+        thickness: 0.2,
+        halfCourt: false,
+        lineWidth: 2 * INCH,
+        centerCircleRadius: 6 * FEET,
+        threePoint: {
+            radius: 23.75 * FEET,        // 23'9"
+            sidelineDistance: 3 * FEET   // 22' in the corners
+        },
+        key: {
+            width: 16 * FEET,
+            freeThrowDistance: 19 * FEET,
+            freeThrowCircleRadius: 6 * FEET,
+            restrictedAreaRadius: 4 * FEET
+        },
+        hoop: {
+            height: 10 * FEET,
+            rimFromBaseline: 5.25 * FEET,
+            backboardFromBaseline: 4 * FEET
+        }
+    },
+    ncaa: {
+        name: 'NCAA',
+        length: 94 * FEET,
+        width: 50 * FEET,
+        runoff: 1,
+        thickness: 0.2,
+        halfCourt: false,
+        lineWidth: 2 * INCH,
+        centerCircleRadius: 6 * FEET,
+        threePoint: {
+            radius: 6.75,                // 22'1.75"
+            sidelineDistance: 40 / 12 * FEET
+        },
+        key: {
+            width: 12 * FEET,
+            freeThrowDistance: 19 * FEET,
+            freeThrowCircleRadius: 6 * FEET,
+            restrictedAreaRadius: 4 * FEET
+        },
+        hoop: {
+            height: 10 * FEET,
+            rimFromBaseline: 5.25 * FEET,
+            backboardFromBaseline: 4 * FEET
+        }
+    }
+};
+
+let activeSpec = COURT_STANDARDS.fiba;
+const changeListeners = [];
+
+/**
+ * Gets the active court specification.
+ * @returns {Object} The active spec.
+ */
+export function getCourtSpec() {
+    return activeSpec;
+}
+
+/**
+ * Makes a spec the active one and notifies every change listener.
+ * @param {Object} spec - A built-in standard or a spec returned by `parseCourtSpec`.
+ */
+export function setCourtSpec(spec) {
+    activeSpec = spec;
+    changeListeners.forEach(listener => listener(activeSpec));
+}
+
+/**
+ * Registers a function to call whenever the active spec changes.
+ * @param {function(Object): void} listener - Receives the new spec.
+ */
+export function onCourtSpecChange(listener) {
+    changeListeners.push(listener);
+}
+
+/**
+ * Builds a complete spec from custom JSON data (e.g. a half-court or driveway setup).
+ * Any field left out is taken from the FIBA standard.
+ * @param {Object} data - The parsed JSON data.
+ * @returns {Object} The complete spec.
+ * @throws {Error} If a dimension is missing, not a number, or doesn't fit on the court.
+ */
+export function parseCourtSpec(data) {
+    const base = COURT_STANDARDS.fiba;
+    const spec = {
+        ...base,
+        ...data,
+        name: data.name || 'Custom',
+        halfCourt: Boolean(data.halfCourt),
+        threePoint: { ...base.threePoint, ...data.threePoint },
+        key: { ...base.key, ...data.key },
+        hoop: { ...base.hoop, ...data.hoop }
+    };
+
+    const dimensions = {
+        length: spec.length,
+        width: spec.width,
+        runoff: spec.runoff,
+        thickness: spec.thickness,
+        lineWidth: spec.lineWidth,
+        centerCircleRadius: spec.centerCircleRadius,
+        'threePoint.radius': spec.threePoint.radius,
+        'threePoint.sidelineDistance': spec.threePoint.sidelineDistance,
+        'key.width': spec.key.width,
+        'key.freeThrowDistance': spec.key.freeThrowDistance,
+        'key.freeThrowCircleRadius': spec.key.freeThrowCircleRadius,
+        'key.restrictedAreaRadius': spec.key.restrictedAreaRadius,
+        'hoop.height': spec.hoop.height,
+        'hoop.rimFromBaseline': spec.hoop.rimFromBaseline,
+        'hoop.backboardFromBaseline': spec.hoop.backboardFromBaseline
+    };
+    for (const [field, value] of Object.entries(dimensions)) {
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+            throw new Error(`Invalid court spec: "${field}" must be a non-negative number`);
+        }
+    }
+
+    const playingLength = spec.halfCourt ? spec.length : spec.length / 2;
+    if (spec.hoop.rimFromBaseline >= playingLength || spec.key.freeThrowDistance >= playingLength) {
+        throw new Error('Invalid court spec: the basket and free-throw line must fit inside the court length');
+    }
+    if (spec.key.width >= spec.width || spec.threePoint.sidelineDistance * 2 >= spec.width) {
+        throw new Error('Invalid court spec: the key and three-point line must fit inside the court width');
+    }
+
+    return spec;
+}
+
+/**
+ * Loads a custom spec from a JSON file and makes it the active one.
+ * @param {string} url - Location of the JSON file.
+ * @returns {Promise<Object>} Resolves with the loaded spec.
+ */
+export function loadCourtSpec(url) {
+    return fetch(url)
+        .then(response => {
+            if (!response.ok) {
+                throw new Error(`Could not load court spec from ${url} (${response.status})`);
+            }
+            return response.json();
+        })
+        .then(data => {
+            const spec = parseCourtSpec(data);
+            setCourtSpec(spec);
+            return spec;
+        });
+}
+
+/**
+ * Gets the sides of the court that have a basket.
+ * @returns {number[]} 1 for the right (positive X) side, -1 for the left side.
+ */
+export function getHoopSides() {
+    return activeSpec.halfCourt ? [1] : [1, -1];
+}
+
+/**
+ * Gets the Y coordinate of the top of the court floor.
+ * @returns {number} The floor surface height.
+ */
+export function getCourtSurfaceY() {
+    return activeSpec.thickness / 2;
+}
+
+/**
+ * Gets the size of the floor, which is the court plus its runoff on every side.
+ * @returns {{length: number, width: number}} The floor dimensions.
+ */
+export function getFloorSize() {
+    return {
+        length: activeSpec.length + activeSpec.runoff * 2,
+        width: activeSpec.width + activeSpec.runoff * 2
+    };
+}
+
+/**
+ * Gets the X coordinate of the baseline on one side of the court.
+ * On a half court, the left "baseline" is the half-court line.
+ * @param {number} side - Determines the court side (-1 for left, 1 for right).
+ * @returns {number} The baseline X position.
+ */
+export function getBaselineX(side) {
+    return side * (activeSpec.length / 2);
+}
+
+/**
+ * Gets the X coordinate of the center line (the half-court line on a half court).
+ * @returns {number} The center line X position.
+ */
+export function getCenterLineX() {
+    return activeSpec.halfCourt ? getBaselineX(-1) : 0;
+}
+
+/**
+ * Gets the center of the basket (the rim) on one side of the court.
+ * @param {number} side - Determines the court side (-1 for left, 1 for right).
+ * @returns {{x: number, y: number, z: number}} The rim center.
+ */
+export function getBasketCenter(side) {
+    return {
+        x: getBaselineX(side) - side * activeSpec.hoop.rimFromBaseline,
+        y: activeSpec.hoop.height,
+        z: 0
+    };
+}
+
+/**
+ * Gets the X coordinate of the backboard face on one side of the court.
+ * @param {number} side - Determines the court side (-1 for left, 1 for right).
+ * @returns {number} The backboard face X position.
+ */
+export function getBackboardX(side) {
+    return getBaselineX(side) - side * activeSpec.hoop.backboardFromBaseline;
+}
+
+/**
+ * Gets the X coordinate of the free-throw line on one side of the court.
+ * @param {number} side - Determines the court side (-1 for left, 1 for right).
+ * @returns {number} The free-throw line X position.
+ */
+export function getFreeThrowLineX(side) {
+    return getBaselineX(side) - side * activeSpec.key.freeThrowDistance;
+}
+
+/**
+ * Gets the distance of the three-point line's straight corner sections from the
+ * center of the court. On narrow courts the arc may not reach them, then the
+ * corners are cut off where the arc ends.
+ * @returns {number} The Z distance of the corner sections.
+ */
+export function getThreePointCornerZ() {
+    const { width, threePoint } = activeSpec;
+    return Math.min(width / 2 - threePoint.sidelineDistance, threePoint.radius);
+}
+
+/**
+ * Checks whether a spot on the floor is inside the court. The boundary lines are
+ * not part of the court, so a ball touching them is out of bounds.
+ * @param {{x: number, z: number}} position - The spot on the floor.
+ * @returns {boolean} True if the spot is in bounds.
+ */
+export function isInBounds(position) {
+    return Math.abs(position.x) < activeSpec.length / 2 && Math.abs(position.z) < activeSpec.width / 2;
+}
+
+/**
+ * Checks whether a spot is in the frontcourt of a basket: the half of the court beyond
+ * the center line, on the basket's side. The center line belongs to the backcourt.
+ * On a half court, the whole court is the frontcourt.
+ * @param {{x: number}} position - The spot on the floor.
+ * @param {number} side - The side of the basket (-1 for left, 1 for right).
+ * @returns {boolean} True if the spot is in the frontcourt.
+ */
+export function isInFrontcourt(position, side) {
+    return side * (position.x - getCenterLineX()) > 0;
+}
+
+/**
+ * Classifies a shot by where it was released from, against the three-point line drawn
+ * for the basket it was shot at. A free throw is a free throw wherever it is taken from,
+ * and a shot in live play from the free-throw line is a two-pointer like any other.
+ * @param {{x: number, z: number}} position - The release position.
+ * @param {number} side - The side of the basket being shot at (-1 for left, 1 for right).
+ * @param {boolean} [freeThrow=false] - True for a free throw (see the 'freeThrow' style in ShotStyles.js).
+ * @returns {string} 'FT' for a free throw, '3PT' from beyond the arc, otherwise '2PT'.
+ */
+export function classifyShot(position, side, freeThrow = false) {
+    if (freeThrow) {
+        return 'FT';
+    }
+
+    // Inside the line: between the corner sections, and either within the arc
+    // or in the corners between the end of the arc and the baseline
+    const basket = getBasketCenter(side);
+    const cornerZ = getThreePointCornerZ();
+    const radius = activeSpec.threePoint.radius;
+    const arcEndX = basket.x - side * Math.cos(Math.asin(cornerZ / radius)) * radius;
+    const distanceToBasket = Math.hypot(position.x - basket.x, position.z - basket.z);
+    const isInsideArc = Math.abs(position.z) < cornerZ &&
+        (distanceToBasket < radius || side * (position.x - arcEndX) > 0);
+    return isInsideArc ? '2PT' : '3PT';
+}
@@ -0,0 +1,182 @@
+/**
+ * DrillRun.js
+ *
+ * A timed run through a drill from Drills.js. The ball is locked on the current spot,
+ * and moves on to the next spot after a make there; misses are retaken from the same
+ * spot. The run is timed from its start to the make from the last spot, and the best
+ * time for each drill and court is kept as a personal best.
+ *
+ * Like FreeThrowPractice, it has no dependency on THREE or the DOM. Personal bests are
+ * kept in a Storage (e.g. `window.localStorage`) when one is given. It reports through events:
+ *   'attempt'  - { made, spot } after every shot
+ *   'complete' - { time, best, newBest } after the make from the last spot
+ *   'reset'    - {} when a new run starts
+ */
+
+import { getCourtSpec } from '../court/CourtSpec.js';
+import { getDrillSpotPosition } from './Drills.js';
+
+const BEST_TIME_KEY_PREFIX = 'basketball.drillBest';
+
+export class DrillRun {
+    /**
+     * @param {string} drillKey - The key of the drill in DRILLS.
+     * @param {Object} drill - The drill, with its `name` and ordered `spots`.
+     * @param {Object} [options]
+     * @param {Storage} [options.storage] - Where personal bests are saved, e.g. `window.localStorage`.
+     *        Without it, they only last as long as the page.
+     * @param {number} [options.side] - The basket shot at, 1 for the right one (positive X) or -1 for the left one.
+     */
+    constructor(drillKey, drill, { storage = null, side = 1 } = {}) {
+        this.listeners = {};
+        this.drillKey = drillKey;
+        this.drill = drill;
+        this.name = drill.name;
+        this.storage = storage;
+        this.side = side;
+        this.shotStyle = 'auto'; // The style that suits each spot
+        this.bestTimes = {}; // By storage key, each loaded once, as the display reads it every frame
+        this.reset();
+    }
+
+    /**
+     * Registers a function to call when the run reports an event.
+     * @param {string} eventName - 'attempt', 'complete' or 'reset'.
+     * @param {function(Object): void} listener - Receives the event data.
+     */
+    on(eventName, listener) {
+        (this.listeners[eventName] = this.listeners[eventName] || []).push(listener);
+    }
+
+    /** @private */
+    _emit(eventName, data) {
+        (this.listeners[eventName] || []).forEach(listener => listener(data));
+    }
+
+    /**
+     * Starts a new run from the first spot, with the timer at zero.
+     */
+    reset() {
+        this.spotIndex = 0;
+        this.time = 0;
+        this.attempts = 0;
+        this.made = 0;
+        this.complete = false;
+        this.newBest = false;
+        this._emit('reset', {});
+    }
+
+    /**
+     * Runs the timer by one step, until the run is complete.
+     * @param {number} dt - Seconds of simulated time.
+     */
+    step(dt) {
+        if (!this.complete) {
+            this.time += dt;
+        }
+    }
+
+    /**
+     * Gets the spot being shot from, as declared in the drill.
+     * @returns {Object} The current spot, the last one once the run is complete.
+     */
+    getCurrentSpot() {
+        return this.drill.spots[Math.min(this.spotIndex, this.drill.spots.length - 1)];
+    }
+
+    /**
+     * Gets where the ball is locked: the current spot on the active court.
+     * @returns {{x: number, z: number}} The spot on the floor.
+     */
+    getSpot() {
+        return getDrillSpotPosition(this.getCurrentSpot(), this.side);
+    }
+
+    /**
+     * Checks whether the ball is locked on its spot, which it always is in this practice.
+     * @returns {boolean} True.
+     */
+    isBallLocked() {
+        return true;
+    }
+
+    /**
+     * Records the result of a shot: a make moves on to the next spot, or completes the run
+     * from the last one. Shots after the run is complete are not counted.
+     * @param {boolean} made - True if the shot went in.
+     */
+    recordAttempt(made) {
+        if (this.complete) {
+            return;
+        }
+        const spot = this.getCurrentSpot();
+        this.attempts++;
+        if (made) {
+            this.made++;
+            this.spotIndex++;
+        }
+        this._emit('attempt', { made, spot });
+        if (this.spotIndex === this.drill.spots.length) {
+            this._completeRun();
+        }
+    }
+
+    /**
+     * Gets the personal best time of the drill on the active court.
+     * @returns {number|null} The best time in seconds, or null if the drill was never completed.
+     */
+    getBestTime() {
+        const key = this._getBestTimeKey();
+        if (!(key in this.bestTimes)) {
+            this.bestTimes[key] = this._loadBestTime(key);
+        }
+        return this.bestTimes[key];
+    }
+
+    /** @private */
+    _loadBestTime(key) {
+        if (!this.storage) {
+            return null;
+        }
+        try {
+            const saved = this.storage.getItem(key);
+            return saved === null ? null : Number(saved);
+        } catch (error) {
+            console.error('Error loading drill best time:', error);
+            return null;
+        }
+    }
+
+    /** @private */
+    _completeRun() {
+        this.complete = true;
+        const best = this.getBestTime();
+        this.newBest = best === null || this.time < best;
+        if (this.newBest) {
+            this._saveBestTime(this.time);
+        }
+        this._emit('complete', { time: this.time, best: this.getBestTime(), newBest: this.newBest });
+    }
+
+    /** @private */
+    _saveBestTime(time) {
+        const key = this._getBestTimeKey();
+        this.bestTimes[key] = time;
+        if (!this.storage) {
+            return;
+        }
+        try {
+            this.storage.setItem(key, String(time));
+        } catch (error) {
+            console.error('Error saving drill best time:', error);
+        }
+    }
+
+    /**
+     * Personal bests are kept per drill and court, as the spots move with the court lines.
+     * @private
+     */
+    _getBestTimeKey() {
+        return `${BEST_TIME_KEY_PREFIX}.${this.drillKey}.${getCourtSpec().name}`;
+    }
+}
@@ -0,0 +1,101 @@
+/**
+ * Drills.js
+ *
+ * Shooting drills, declared as data: a drill is an ordered list of spots on the court,
+ * and a make is needed from each spot before moving on to the next one.
+ *
+ * Spots are named places on the court, resolved against the active court spec, so a
+ * drill fits every standard and custom court. To author a new drill, add an entry to
+ * DRILLS with spots made of:
+ *   at     - a key of SPOT_ANCHORS: 'corner', 'wing', 'top', 'elbow', 'freeThrow', 'block' or 'short'
+ *   hand   - 'left' or 'right' of the basket, as seen by the shooter facing it (not needed at 'top', 'freeThrow' or 'short')
+ *   offset - optional nudge in meters, { out, across }: out toward the center line, across toward the chosen hand
+ *   name   - shown while shooting from the spot
+ */
+
+import { getCourtSpec, getBaselineX, getThreePointCornerZ } from '../court/CourtSpec.js';
+
+const BEYOND_ARC = 0.5; // How far outside the three-point line the three-point spots are
+const LINE_MARGIN = 0.5; // Spots are kept this far inside the boundary lines
+const WING_ANGLE = 45; // Degrees between the wing and the line straight out from the basket
+
+// Where each named spot is, measured from the baseline below the basket: `out` toward
+// the center line and `across` toward the shooter's hand
+export const SPOT_ANCHORS = {
+    corner: () => ({ out: LINE_MARGIN + 0.5, across: getThreePointCornerZ() + BEYOND_ARC }),
+    wing: spec => fromRim(spec, WING_ANGLE, spec.threePoint.radius + BEYOND_ARC),
+    top: spec => fromRim(spec, 0, spec.threePoint.radius + BEYOND_ARC),
+    elbow: spec => ({ out: spec.key.freeThrowDistance, across: spec.key.width / 2 }),
+    freeThrow: spec => ({ out: spec.key.freeThrowDistance, across: 0 }),
+    block: spec => ({ out: spec.hoop.rimFromBaseline, across: spec.key.width / 2 + 0.3 }),
+    short: spec => fromRim(spec, 0, spec.key.restrictedAreaRadius + 1)
+};
+
+export const DRILLS = {
+    aroundTheWorld: {
+        name: 'Around the World',
+        spots: [
+            { name: 'Left Corner', at: 'corner', hand: 'left' },
+            { name: 'Left Wing', at: 'wing', hand: 'left' },
+            { name: 'Left Elbow', at: 'elbow', hand: 'left' },
+            { name: 'Top of the Key', at: 'top' },
+            { name: 'Right Elbow', at: 'elbow', hand: 'right' },
+            { name: 'Right Wing', at: 'wing', hand: 'right' },
+            { name: 'Right Corner', at: 'corner', hand: 'right' }
+        ]
+    },
+    spotShooting: {
+        name: 'Spot Shooting',
+        spots: [
+            { name: 'Right Corner Three', at: 'corner', hand: 'right' },
+            { name: 'Right Wing Three', at: 'wing', hand: 'right' },
+            { name: 'Top Three', at: 'top' },
+            { name: 'Left Wing Three', at: 'wing', hand: 'left' },
+            { name: 'Left Corner Three', at: 'corner', hand: 'left' }
+        ]
+    }
+};
+
+/**
+ * Finds where a drill spot is on the active court, in front of one basket.
+ * @param {{at: string, hand?: string, offset?: {out?: number, across?: number}}} spot - The spot, as declared in a drill.
+ * @param {number} [side=1] - The basket shot at (1 for the right one, -1 for the left one).
+ * @returns {{x: number, z: number}} The spot on the floor, inside the lines.
+ */
+export function getDrillSpotPosition(spot, side = 1) {
+    const anchor = SPOT_ANCHORS[spot.at];
+    if (!anchor) {
+        throw new Error(`Unknown drill spot: ${spot.at}`);
+    }
+    const spec = getCourtSpec();
+    const { out = 0, across = 0 } = spot.offset || {};
+    const place = anchor(spec);
+    const handSign = spot.hand === 'left' ? -1 : 1;
+
+    // Keep the spot on the court, and on the basket's half of a full court
+    const maxOut = (spec.halfCourt ? spec.length : spec.length / 2) - LINE_MARGIN;
+    const maxAcross = spec.width / 2 - LINE_MARGIN;
+    const clampedOut = Math.min(maxOut, Math.max(LINE_MARGIN, place.out + out));
+    const clampedAcross = Math.min(maxAcross, Math.max(-maxAcross, place.across + across));
+
+    // Facing the basket on the right (positive X), the shooter's right hand is toward positive Z
+    return {
+        x: getBaselineX(side) - side * clampedOut,
+        z: side * handSign * clampedAcross
+    };
+}
+
+/**
+ * Places a spot on a circle around the rim.
+ * @param {Object} spec - The court spec.
+ * @param {number} angle - Degrees from the line straight out from the basket.
+ * @param {number} distance - Meters from the rim center.
+ * @returns {{out: number, across: number}} The spot, from the baseline.
+ */
+function fromRim(spec, angle, distance) {
+    const radians = angle * Math.PI / 180;
+    return {
+        out: spec.hoop.rimFromBaseline + Math.cos(radians) * distance,
+        across: Math.sin(radians) * distance
+    };
+}
@@ -0,0 +1,130 @@
+/**
+ * FreeThrowPractice.js
+ *
+ * A free-throw practice session. The ball is locked on the middle of the free-throw line,
+ * and the shots come in trips to the line of 1 to 3 attempts, like after a foul:
+ * one for an and-one, two for a shooting foul, three for a foul on a three-point shot.
+ * Every make is worth 1 point; the session keeps the makes, the percentage and the streaks.
+ *
+ * Like GameFlow, it has no dependency on THREE or the DOM, and reports through events:
+ *   'attempt' - { made, attemptsLeft } after every free throw
+ *   'trip'    - { trip, attempts } when a new trip to the line starts
+ *   'reset'   - {} when a new session starts
+ */
+
+import { getFreeThrowLineX } from '../court/CourtSpec.js';
+
+// How often a trip to the line has each number of attempts, as [attempts, weight]
+const TRIP_WEIGHTS = [[1, 0.2], [2, 0.65], [3, 0.15]];
+
+export class FreeThrowPractice {
+    /**
+     * @param {Object} [options]
+     * @param {function(): number} [options.pickTripAttempts] - Picks the attempts (1-3) of each trip, random by default.
+     * @param {number} [options.side] - The basket shot at, 1 for the right one (positive X) or -1 for the left one.
+     */
+    constructor({ pickTripAttempts = pickRandomTripAttempts, side = 1 } = {}) {
+        this.listeners = {};
+        this.pickTripAttempts = pickTripAttempts;
+        this.side = side;
+        this.name = 'Free Throws';
+        this.shotStyle = 'freeThrow'; // Every shot of the session is a free throw
+        this.reset();
+    }
+
+    /**
+     * Registers a function to call when the session reports an event.
+     * @param {string} eventName - 'attempt', 'trip' or 'reset'.
+     * @param {function(Object): void} listener - Receives the event data.
+     */
+    on(eventName, listener) {
+        (this.listeners[eventName] = this.listeners[eventName] || []).push(listener);
+    }
+
+    /** @private */
+    _emit(eventName, data) {
+        (this.listeners[eventName] || []).forEach(listener => listener(data));
+    }
+
+    /**
+     * Starts a new session, with cleared counters and a new trip to the line.
+     */
+    reset() {
+        this.attempts = 0;
+        this.made = 0;
+        this.streak = 0; // Makes in a row, up to the last attempt
+        this.bestStreak = 0;
+        this.trip = 0;
+        this.tripAttempts = 0;
+        this.attemptsLeft = 0;
+        this._emit('reset', {});
+        this._startTrip();
+    }
+
+    /**
+     * Gets the spot the ball is locked on: the middle of the free-throw line.
+     * @returns {{x: number, z: number}} The spot on the floor.
+     */
+    getSpot() {
+        return { x: getFreeThrowLineX(this.side), z: 0 };
+    }
+
+    /**
+     * Checks whether the ball is locked on its spot, which it always is in this practice.
+     * @returns {boolean} True.
+     */
+    isBallLocked() {
+        return true;
+    }
+
+    /**
+     * Gets the points scored in the session, 1 for every make.
+     * @returns {number} The points.
+     */
+    getPoints() {
+        return this.made;
+    }
+
+    /**
+     * Records the result of a free throw, and starts the next trip after the last attempt of this one.
+     * @param {boolean} made - True if the free throw went in.
+     */
+    recordAttempt(made) {
+        this.attempts++;
+        this.attemptsLeft--;
+        if (made) {
+            this.made++;
+            this.streak++;
+            this.bestStreak = Math.max(this.bestStreak, this.streak);
+        } else {
+            this.streak = 0;
+        }
+        this._emit('attempt', { made, attemptsLeft: this.attemptsLeft });
+        if (this.attemptsLeft === 0) {
+            this._startTrip();
+        }
+    }
+
+    /** @private */
+    _startTrip() {
+        this.trip++;
+        this.tripAttempts = this.pickTripAttempts();
+        this.attemptsLeft = this.tripAttempts;
+        this._emit('trip', { trip: this.trip, attempts: this.tripAttempts });
+    }
+}
+
+/**
+ * Picks the attempts of a trip to the line at random, mostly two shots.
+ * @returns {number} 1, 2 or 3 attempts.
+ */
+function pickRandomTripAttempts() {
+    let roll = Math.random();
+    for (const [attempts, weight] of TRIP_WEIGHTS) {
+        roll -= weight;
+        if (roll < 0) {
+            return attempts;
+        }
+    }
+    return 2;
+}
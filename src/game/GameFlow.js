@@ -0,0 +1,216 @@
+/**
+ * GameFlow.js
+ *
+ * The flow of a game: pregame, live play in timed quarters (or halves), timeouts,
+ * the breaks between periods, overtime and the final buzzer. It runs the game clock
+ * and the shot clock, and is stepped with the ball, in fixed steps of simulated time.
+ *
+ *   pregame --start--> live --period ends--> break --start--> live ... --> final
+ *              live --timeout--> timeout --resume (or time's up)--> live
+ *
+ * The shot clock resets to the full 24 seconds when a shot goes in or a miss ends the
+ * possession, and to 14 seconds on an offensive rebound. At zero with the ball on the
+ * court, it is a shot clock violation; a shot already in the air is allowed to land.
+ *
+ * Like BallPhysics, it has no dependency on THREE or the DOM, and reports what happens
+ * through events:
+ *   'stateChange' - { state, period }
+ *   'buzzer'      - { clock } ('game', 'shot' or 'timeout')
+ *   'violation'   - { type } ('shotClock')
+ *   'reset'       - {} (a new game, the score should be cleared)
+ */
+
+import { COURT_STANDARDS, getCourtSpec } from '../court/CourtSpec.js';
+
+const SHOT_CLOCK = 24; // Seconds to shoot, on every new possession
+const OFFENSIVE_REBOUND_SHOT_CLOCK = 14; // After catching your own miss
+const TIMEOUT_LENGTH = 60;
+const TIMEOUTS_PER_GAME = 5;
+const OVERTIME_LENGTH = 5 * 60;
+
+// Periods by court standard; a custom court plays by the FIBA rules
+export const GAME_RULES = {
+    fiba: { periods: 4, periodLength: 10 * 60, periodName: 'Q' },
+    nba: { periods: 4, periodLength: 12 * 60, periodName: 'Q' },
+    ncaa: { periods: 2, periodLength: 20 * 60, periodName: 'H' }
+};
+
+export class GameFlow {
+    /**
+     * @param {Object} [options]
+     * @param {function(): {home: number, away: number}} [options.getScore] - The current score, to send a tied game
+     *        to overtime. Without it, the game never goes to overtime.
+     * @param {Object} [options.rules] - Periods of the game, one of GAME_RULES. Defaults to the rules of the active court standard.
+     */
+    constructor({ getScore = null, rules = null } = {}) {
+        this.listeners = {};
+        this.getScore = getScore;
+        this.fixedRules = rules;
+        this.reset();
+    }
+
+    /**
+     * Registers a function to call when the game reports an event.
+     * @param {string} eventName - 'stateChange', 'buzzer', 'violation' or 'reset'.
+     * @param {function(Object): void} listener - Receives the event data.
+     */
+    on(eventName, listener) {
+        (this.listeners[eventName] = this.listeners[eventName] || []).push(listener);
+    }
+
+    /** @private */
+    _emit(eventName, data) {
+        (this.listeners[eventName] || []).forEach(listener => listener(data));
+    }
+
+    /**
+     * Starts a new game in pregame, with full clocks and the rules of the active court standard.
+     */
+    reset() {
+        this.rules = this.fixedRules || getRulesForCourt();
+        this.state = 'pregame';
+        this.period = 1;
+        this.gameClock = this.rules.periodLength;
+        this.shotClock = SHOT_CLOCK;
+        this.timeoutClock = 0;
+        this.timeoutsLeft = TIMEOUTS_PER_GAME;
+        this.shotInAir = false; // A shot released before the shot clock ran out may still land
+        this._emit('reset', {});
+        this._emit('stateChange', { state: this.state, period: this.period });
+    }
+
+    /**
+     * Starts play: the first period from pregame, or the next one from a break.
+     * After the final buzzer, starts over with a new game.
+     */
+    start() {
+        if (this.state === 'final') {
+            this.reset();
+        }
+        if (this.state === 'pregame' || this.state === 'break') {
+            this._setState('live');
+        }
+    }
+
+    /**
+     * Calls a timeout during live play, or ends the current one early.
+     * @returns {boolean} True if a timeout was called or ended.
+     */
+    toggleTimeout() {
+        if (this.state === 'timeout') {
+            this._setState('live');
+            return true;
+        }
+        if (this.state !== 'live' || this.timeoutsLeft === 0) {
+            return false;
+        }
+        this.timeoutsLeft--;
+        this.timeoutClock = TIMEOUT_LENGTH;
+        this._setState('timeout');
+        return true;
+    }
+
+    /**
+     * Checks whether play is live, so shots count toward the score.
+     * @returns {boolean} True during live play.
+     */
+    isLive() {
+        return this.state === 'live';
+    }
+
+    /**
+     * Gets the name of the current period, e.g. 'Q3', 'H2' or 'OT1'.
+     * @returns {string} The period name.
+     */
+    getPeriodName() {
+        const { periods, periodName } = this.rules;
+        return this.period > periods ? `OT${this.period - periods}` : `${periodName}${this.period}`;
+    }
+
+    /**
+     * Records that a shot was released, so it may land after the shot clock runs out.
+     */
+    onShotReleased() {
+        this.shotInAir = true;
+    }
+
+    /**
+     * Resets the shot clock for how a shot ended up: an offensive rebound keeps the
+     * possession with a short clock, anything else starts a new one.
+     * @param {string} result - 'made', the result of a miss ('rebound', 'outOfBounds', 'backcourt' or 'loose'),
+     *        or 'reset' if the ball was taken back before the shot ended.
+     */
+    onShotEnded(result) {
+        this.shotInAir = false;
+        this.shotClock = result === 'rebound' ? OFFENSIVE_REBOUND_SHOT_CLOCK : SHOT_CLOCK;
+    }
+
+    /**
+     * Runs the clocks by one step. The game and shot clocks only run in live play.
+     * @param {number} dt - Seconds of simulated time.
+     */
+    step(dt) {
+        if (this.state === 'timeout') {
+            this.timeoutClock = Math.max(0, this.timeoutClock - dt);
+            if (this.timeoutClock === 0) {
+                this._emit('buzzer', { clock: 'timeout' });
+                this._setState('live');
+            }
+            return;
+        }
+        if (this.state !== 'live') {
+            return;
+        }
+
+        this.gameClock = Math.max(0, this.gameClock - dt);
+        if (this.shotClock > 0) {
+            this.shotClock = Math.max(0, this.shotClock - dt);
+            if (this.shotClock === 0) {
+                this._emit('buzzer', { clock: 'shot' });
+            }
+        }
+        if (this.shotClock === 0 && !this.shotInAir && this.gameClock > 0) {
+            this._emit('violation', { type: 'shotClock' });
+            this.shotClock = SHOT_CLOCK;
+        }
+
+        if (this.gameClock === 0) {
+            this._emit('buzzer', { clock: 'game' });
+            this._endPeriod();
+        }
+    }
+
+    /**
+     * Ends the current period: into a break before the next one (overtime if the game is
+     * tied after regulation), or to the final buzzer.
+     * @private
+     */
+    _endPeriod() {
+        const score = this.getScore ? this.getScore() : null;
+        const tied = score !== null && score.home === score.away;
+        if (this.period < this.rules.periods || tied) {
+            this.period++;
+            this.gameClock = this.period > this.rules.periods ? OVERTIME_LENGTH : this.rules.periodLength;
+            this.shotClock = SHOT_CLOCK;
+            this._setState('break');
+        } else {
+            this._setState('final');
+        }
+    }
+
+    /** @private */
+    _setState(state) {
+        this.state = state;
+        this._emit('stateChange', { state, period: this.period });
+    }
+}
+
+/**
+ * Picks the game rules of the active court standard.
+ * @returns {Object} One of GAME_RULES.
+ */
+function getRulesForCourt() {
+    const spec = getCourtSpec();
+    const standard = Object.keys(COURT_STANDARDS).find(key => COURT_STANDARDS[key] === spec);
+    return GAME_RULES[standard] || GAME_RULES.fiba;
+}
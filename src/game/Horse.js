@@ -0,0 +1,138 @@
+/**
+ * Horse.js
+ *
+ * H-O-R-S-E for two players taking turns at the same ball (hot seat).
+ *
+ * The leader shoots from anywhere, in any shot type. A make sets the challenge: the
+ * follower has to make the same shot, from the same spot and in the same style, or
+ * earns the next letter of H-O-R-S-E. Either way, the leader then sets a new challenge.
+ * A miss by the leader hands the lead to the other player. A player who has spelled
+ * the whole word is out, and the other one wins.
+ *
+ * Like the other practice modes, it has no dependency on THREE or the DOM, and reports
+ * through events:
+ *   'turn'     - { player, made, shotType, shotStyle, spot, result } after every shot, where
+ *                result is 'challenge', 'lostLead', 'matched' or 'letter'
+ *   'gameOver' - { winner } when a player has spelled the word
+ *   'reset'    - { names } when a new game starts
+ */
+
+import { getFreeThrowLineX } from '../court/CourtSpec.js';
+
+export const HORSE_WORD = 'HORSE';
+
+export class HorseGame {
+    /**
+     * @param {Object} [options]
+     * @param {string[]} [options.names] - The names of the two players, the first one leads off.
+     */
+    constructor({ names = ['Player 1', 'Player 2'] } = {}) {
+        this.listeners = {};
+        this.names = names;
+        this.name = 'H-O-R-S-E';
+        this.reset();
+    }
+
+    /**
+     * Registers a function to call when the game reports an event.
+     * @param {string} eventName - 'turn', 'gameOver' or 'reset'.
+     * @param {function(Object): void} listener - Receives the event data.
+     */
+    on(eventName, listener) {
+        (this.listeners[eventName] = this.listeners[eventName] || []).push(listener);
+    }
+
+    /** @private */
+    _emit(eventName, data) {
+        (this.listeners[eventName] || []).forEach(listener => listener(data));
+    }
+
+    /**
+     * Starts a new game: no letters, the first player leads off from the free-throw line.
+     */
+    reset() {
+        this.letters = this.names.map(() => 0);
+        this.leader = 0;
+        this.shooter = 0;
+        this.challenge = null; // The made shot the follower has to match: { spot, shotType, shotStyle }
+        this.shotStyle = null; // The challenge's style, the leader picks freely (null)
+        this.lastSpot = null; // Where the last shot was taken, the leader gets the ball back there
+        this.winner = null;
+        this._emit('reset', { names: [...this.names] });
+    }
+
+    /**
+     * Checks whether the ball is locked: the follower shoots from the challenge spot,
+     * the leader moves freely.
+     * @returns {boolean} True while a challenge is to be matched.
+     */
+    isBallLocked() {
+        return this.challenge !== null;
+    }
+
+    /**
+     * Gets where the ball is placed for the next shot: the challenge spot, or where the last
+     * shot was taken (the middle of the free-throw line before the first one).
+     * @returns {{x: number, z: number}} The spot on the floor.
+     */
+    getSpot() {
+        if (this.challenge) {
+            return { ...this.challenge.spot };
+        }
+        return this.lastSpot ? { ...this.lastSpot } : { x: getFreeThrowLineX(1), z: 0 };
+    }
+
+    /**
+     * Gets a player's letters so far, e.g. 'HO'.
+     * @param {number} player - 0 or 1.
+     * @returns {string} The letters of H-O-R-S-E the player has earned.
+     */
+    getLetters(player) {
+        return HORSE_WORD.slice(0, this.letters[player]);
+    }
+
+    /**
+     * Records the shot of the player whose turn it is, and passes the turn on.
+     * Shots after the game is over are not counted.
+     * @param {boolean} made - True if the shot went in.
+     * @param {Object} shot - The shot, as reported by Basketball.
+     * @param {{x: number, z: number}} shot.spot - Where on the floor it was taken from.
+     * @param {string} shot.shotType - '2PT', '3PT' or 'FT'.
+     * @param {string} shot.shotStyle - A key of SHOT_STYLES.
+     */
+    recordAttempt(made, { spot, shotType, shotStyle }) {
+        if (this.winner !== null) {
+            return;
+        }
+        const player = this.shooter;
+        const other = 1 - player;
+        let result;
+        if (!this.challenge) {
+            // The leader sets a challenge with a make, or hands the lead over with a miss
+            result = made ? 'challenge' : 'lostLead';
+            if (made) {
+                this.challenge = { spot: { x: spot.x, z: spot.z }, shotType, shotStyle };
+                this.shotStyle = shotStyle;
+            } else {
+                this.leader = other;
+            }
+            this.shooter = other;
+        } else {
+            // The follower answers the challenge, then the leader goes again
+            result = made ? 'matched' : 'letter';
+            if (!made) {
+                this.letters[player]++;
+            }
+            this.challenge = null;
+            this.shotStyle = null;
+            this.shooter = this.leader;
+        }
+        this.lastSpot = { x: spot.x, z: spot.z };
+        this._emit('turn', { player, made, shotType, shotStyle, spot: { ...this.lastSpot }, result });
+
+        if (this.letters[player] === HORSE_WORD.length) {
+            this.winner = other;
+            this._emit('gameOver', { winner: other });
+        }
+    }
+}
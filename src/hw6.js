@@ -1,8 +1,30 @@
 import {OrbitControls} from './utils/OrbitControls.js'
 import {createCourtLines} from './components/CourtLines.js'
 import {createHoops} from './components/Hoops.js'
-import { Basketball } from './components/Basketball.js'
-import {updateScoreDisplay} from './ui/Score.js'
+import { Net } from './components/Net.js'
+import { createNets } from './physics/NetPhysics.js'
+import { Basketball, BALL_KEY_BINDINGS, PHYSICS_TIME_STEP } from './components/Basketball.js'
+import { collideBalls } from './physics/BallPhysics.js'
+import { FixedStepClock } from './utils/FixedStepClock.js'
+import { InputRouter } from './utils/InputRouter.js'
+import { escapeHtml } from './utils/Html.js'
+import {updateScoreDisplay, resetScore, showShotFeedback, getHomeScore, getAwayScore, setPlayers, addPlayerTurn} from './ui/Score.js'
+import { GameFlow } from './game/GameFlow.js'
+import { updateGameClockDisplay, playBuzzer } from './ui/GameClock.js'
+import { FreeThrowPractice } from './game/FreeThrowPractice.js'
+import { DRILLS } from './game/Drills.js'
+import { DrillRun } from './game/DrillRun.js'
+import { HorseGame } from './game/Horse.js'
+import { SpotMarker } from './components/SpotMarker.js'
+import { updateFreeThrowDisplay, updateDrillDisplay, updateHorseDisplay, hidePracticeDisplay } from './ui/PracticeDisplay.js'
+import {
+  COURT_STANDARDS,
+  getCourtSpec,
+  setCourtSpec,
+  loadCourtSpec,
+  getFloorSize,
+  onCourtSpecChange
+} from './court/CourtSpec.js'
 
 const scene = new THREE.Scene();
 const camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
@@ -31,8 +53,14 @@ function degrees_to_radians(degrees) {
 }
 
 // --- Court Creation ---
+// Everything built from the court spec, so it can be torn down when the spec changes
+let courtObjects = [];
+// The simulated nets, stepped with the ball
+let nets = [];
+
 /**
  * Creates the main basketball court floor and adds its line markings.
+ * The floor, lines and hoops are all sized from the active court spec.
  */
 function createBasketballCourt() {
   // Load wood texture for the court floor
@@ -43,7 +71,8 @@ function createBasketballCourt() {
   woodTexture.repeat.set(4, 4); // Adjust tiling for better appearance
 
   // Court floor - now with a realistic texture
-  const courtGeometry = new THREE.BoxGeometry(30, 0.2, 15);
+  const floor = getFloorSize();
+  const courtGeometry = new THREE.BoxGeometry(floor.length, getCourtSpec().thickness, floor.width);
   const courtMaterial = new THREE.MeshPhongMaterial({ 
     map: woodTexture,
     shininess: 50
@@ -52,13 +81,225 @@ function createBasketballCourt() {
   court.receiveShadow = true;
   scene.add(court);
   
-  createCourtLines(scene);
-  createHoops(scene);
+  const netMaterial = new THREE.LineBasicMaterial({ color: 0xffffff });
+  nets = createNets().map(netPhysics => new Net(netPhysics, netMaterial));
+  nets.forEach(net => scene.add(net.mesh));
+
+  courtObjects = [court, createCourtLines(scene), createHoops(scene), ...nets.map(net => net.mesh)];
+}
+
+/**
+ * Removes the current court from the scene and frees its GPU resources.
+ */
+function removeBasketballCourt() {
+  courtObjects.forEach(object => {
+    scene.remove(object);
+    object.traverse(child => {
+      if (child.geometry) child.geometry.dispose();
+      if (child.material) {
+        if (child.material.map) child.material.map.dispose();
+        child.material.dispose();
+      }
+    });
+  });
+  courtObjects = [];
+}
+
+// --- Court Standards ---
+// Standards cycled with the C key; a custom spec loaded from JSON joins the cycle
+const courtStandards = Object.values(COURT_STANDARDS);
+
+/**
+ * Switches to the next court standard in the cycle.
+ */
+function cycleCourtStandard() {
+  const currentIndex = courtStandards.indexOf(getCourtSpec());
+  setCourtSpec(courtStandards[(currentIndex + 1) % courtStandards.length]);
+}
+
+/**
+ * Picks the starting court from the `court` URL parameter, which is either a
+ * standard's key (fiba, nba, ncaa) or the path of a custom JSON spec,
+ * e.g. `?court=src/assets/courts/driveway.json`.
+ */
+function loadInitialCourtStandard() {
+  const requested = new URLSearchParams(window.location.search).get('court');
+  if (!requested) {
+    return;
+  }
+  if (COURT_STANDARDS[requested.toLowerCase()]) {
+    setCourtSpec(COURT_STANDARDS[requested.toLowerCase()]);
+    return;
+  }
+  loadCourtSpec(requested).then(spec => {
+    courtStandards.push(spec);
+  }).catch(error => {
+    console.error('Error loading custom court spec:', error);
+  });
+}
+
+// Rebuild the floor, lines and hoops whenever the court spec changes
+onCourtSpecChange(() => {
+  removeBasketballCourt();
+  createBasketballCourt();
+  allBalls.forEach(ball => {
+    ball.physics.nets = nets.map(net => net.physics);
+  });
+  updateControlsDisplay();
+  // Before tip-off, the game is played by the rules of the new court
+  if (game.state === 'pregame') {
+    game.reset();
+  }
+});
+
+// --- Game Flow ---
+// Periods, timeouts and both clocks; a new game (N after the final, or T) clears the score
+const game = new GameFlow({ getScore: () => ({ home: getHomeScore(), away: getAwayScore() }) });
+game.on('reset', () => resetScore());
+game.on('buzzer', () => playBuzzer());
+game.on('violation', () => showShotFeedback('SHOT CLOCK VIOLATION', 'miss'));
+
+// --- Game Modes ---
+// Cycled with the M key: the full game, a practice session that places the ball on a spot,
+// or head to head. Every drill declared in Drills.js is a mode of its own, with its spot
+// marked on the floor.
+const horse = createHorseGame();
+const gameModes = [
+  { name: 'Game', practice: null },
+  { name: 'Free Throws', practice: new FreeThrowPractice(), updateDisplay: updateFreeThrowDisplay },
+  ...Object.entries(DRILLS).map(([drillKey, drill]) => ({
+    name: drill.name,
+    practice: new DrillRun(drillKey, drill, { storage: getLocalStorage() }),
+    updateDisplay: updateDrillDisplay,
+    marksSpot: true
+  })),
+  { name: 'H-O-R-S-E', practice: horse, updateDisplay: updateHorseDisplay, marksSpot: true },
+  { name: 'Head to Head', practice: null, versus: true }
+];
+let gameModeIndex = 0;
+
+/**
+ * Gets the browser's local storage, for the drills' personal bests.
+ * @returns {Storage|null} The storage, or null where it is blocked (e.g. some private windows).
+ */
+function getLocalStorage() {
+  try {
+    return window.localStorage;
+  } catch (error) {
+    console.error('Error opening local storage:', error);
+    return null;
+  }
+}
+
+/**
+ * Creates the game of H-O-R-S-E, for the players named in the `players` URL parameter,
+ * e.g. `?players=Ana,Ben`, and keeps their turns in the score's shot history.
+ * @returns {HorseGame} The game.
+ */
+function createHorseGame() {
+  const requested = new URLSearchParams(window.location.search).get('players');
+  const names = (requested || '').split(',').map(name => name.trim()).filter(name => name);
+  const horseGame = new HorseGame(names.length === 2 ? { names } : {});
+  horseGame.on('reset', ({ names }) => setPlayers(names));
+  horseGame.on('turn', turn => addPlayerTurn(turn));
+  setPlayers(horseGame.names);
+  return horseGame;
+}
+
+/**
+ * Starts the practice of the current mode over: a new session or run, with the ball on its first spot.
+ */
+function restartPractice() {
+  const { practice } = gameModes[gameModeIndex];
+  practice.reset();
+  basketball.setPractice(practice);
+}
+
+/**
+ * Starts a new head-to-head match: a cleared score, and both balls back on their spots.
+ */
+function restartVersus() {
+  game.reset();
+  versusBalls.forEach(ball => {
+    ball.setActive(true);
+    ball.resetPosition(); // The versus balls aren't part of the game, its reset doesn't reach them
+  });
+}
+
+/**
+ * Gets the balls on the court in the current mode: one per player head to head, otherwise the single ball.
+ * @returns {Basketball[]} The balls to step and draw.
+ */
+function getActiveBalls() {
+  return gameModes[gameModeIndex].versus ? versusBalls : [basketball];
+}
+
+/**
+ * Switches to the next game mode. A practice starts over each time it is entered;
+ * the game is paused while practicing. Head to head shares the scoreboard with the game,
+ * so going in or out of it starts a new game.
+ */
+function cycleGameMode() {
+  const wasVersus = gameModes[gameModeIndex].versus;
+  gameModeIndex = (gameModeIndex + 1) % gameModes.length;
+  const { practice, versus } = gameModes[gameModeIndex];
+  if (practice) {
+    restartPractice();
+  } else {
+    basketball.setPractice(null);
+    hidePracticeDisplay();
+    spotMarker.hide();
+  }
+  if (versus) {
+    basketball.setActive(false);
+    restartVersus();
+  } else if (wasVersus) {
+    game.reset();
+    basketball.setActive(true);
+    versusBalls.forEach(ball => ball.setActive(false));
+  }
+  const clockElement = document.getElementById('game-clock-display');
+  if (clockElement) {
+    clockElement.style.display = practice || versus ? 'none' : '';
+  }
+  const secondPowerBar = document.getElementById('power-bar-right-2');
+  if (secondPowerBar) {
+    secondPowerBar.style.display = versus ? 'block' : 'none';
+  }
+  updateControlsDisplay();
+}
+
+/**
+ * Shows the practice of the current mode: its progress, and the spot it is shot from.
+ */
+function updatePracticeDisplay() {
+  const { practice, updateDisplay, marksSpot } = gameModes[gameModeIndex];
+  if (!practice) {
+    return;
+  }
+  updateDisplay(practice);
+  if (marksSpot && practice.isBallLocked()) {
+    spotMarker.show(practice.getSpot());
+  } else {
+    spotMarker.hide();
+  }
 }
 
 // --- Scene Assembly ---
+// One router reads the keyboard for the whole page; the balls and the app bind their own keys to it
+const input = new InputRouter();
 createBasketballCourt();
-const basketball = new Basketball(scene);
+const basketball = new Basketball(scene, { game, input });
+// Head to head: a ball per team, each with its side of the keyboard and its own power bar
+const versusBalls = [
+  new Basketball(scene, { team: 'home', input, keyBindings: BALL_KEY_BINDINGS.arrows, active: false }),
+  new Basketball(scene, { team: 'away', input, keyBindings: BALL_KEY_BINDINGS.wasd, hudSuffix: '-2', active: false })
+];
+const allBalls = [basketball, ...versusBalls];
+const spotMarker = new SpotMarker(scene);
+allBalls.forEach(ball => {
+  ball.physics.nets = nets.map(net => net.physics);
+});
 
 // Set camera position for better view
 const cameraTranslate = new THREE.Matrix4();
@@ -74,41 +315,133 @@ const controlsElement = document.getElementById('controls-display');
 
 // This function updates the controls UI based on the current state.
 function updateControlsDisplay() {
-    if (controlsElement) {
+    // A custom court's name comes from its JSON, which any link can point to
+    const courtName = escapeHtml(getCourtSpec().name);
+    if (controlsElement && gameModes[gameModeIndex].versus) {
         controlsElement.innerHTML = `
           <h3>Controls:</h3>
-          <p>Arrows - Move | Space - Shoot | W/S - Power</p>
-          <p>R - Reset Ball | T - Reset Score | O - Camera</p>
+          <p>Home: Arrows - Move | Enter - Shoot (hold to charge) | . - Catch Rebound</p>
+          <p>Away: W/A/S/D - Move | Space - Shoot (hold to charge) | Q - Catch Rebound</p>
+          <p>R - Reset Both Balls | T - New Match | O - Camera</p>
+          <p>M - Mode (${gameModes[gameModeIndex].name})</p>
+          <p>C - Court Standard (${courtName})</p>
+        `;
+    } else if (controlsElement) {
+        controlsElement.innerHTML = `
+          <h3>Controls:</h3>
+          <p>Arrows - Move | Space - Shoot (hold to charge) | H - Meter or W/S Power</p>
+          <p>Q/E - Backspin | F - Air Drag & Spin | P - Aim Preview</p>
+          <p>A/D - Aim Left/Right | Z/X - Launch Angle | I - Aim Assist Level</p>
+          <p>1-6 - Shot Type (Auto/Jumper/Layup/Dunk/Hook/Free Throw)</p>
+          <p>G - Catch Rebound | R - Reset Ball | O - Camera</p>
+          <p>N - Start / Next Period | Y - Timeout | T - New Game (or Restart Practice)</p>
+          <p>M - Mode (${gameModes[gameModeIndex].name})</p>
+          <p>C - Court Standard (${courtName})</p>
         `;
     }
 }
 
+// Keys of the app's own actions, next to the balls' (see BALL_KEY_BINDINGS)
+const APP_KEY_BINDINGS = {
+    camera: ['o', 'O'],
+    courtStandard: ['c', 'C'],
+    startPeriod: ['n', 'N'],
+    timeout: ['y', 'Y'],
+    newGame: ['t', 'T'],
+    gameMode: ['m', 'M']
+};
+
 /**
- * Handles keyboard input for toggling camera controls.
- * @param {KeyboardEvent} e - The keyboard event.
+ * Handles the app's keys for toggling camera controls, switching the court standard
+ * and running the game.
+ * @param {string} action - The action, a key of APP_KEY_BINDINGS.
  */
-function handleKeyDown(e) {
-    if (e.key.toLowerCase() === "o") {
+function handleAppAction(action) {
+    if (action === "camera") {
         isOrbitEnabled = !isOrbitEnabled;
         updateControlsDisplay();
     }
+    if (action === "courtStandard") {
+        cycleCourtStandard();
+    }
+    // The game is paused while practicing, and head to head is untimed
+    const { practice, versus } = gameModes[gameModeIndex];
+    if (action === "startPeriod" && !practice && !versus) {
+        game.start();
+    }
+    if (action === "timeout" && !practice && !versus) {
+        game.toggleTimeout();
+    }
+    if (action === "newGame") {
+        if (practice) {
+            restartPractice();
+        } else if (versus) {
+            restartVersus();
+        } else {
+            game.reset();
+        }
+    }
+    if (action === "gameMode") {
+        cycleGameMode();
+    }
 }
-document.addEventListener('keydown', handleKeyDown);
+input.bind(APP_KEY_BINDINGS, { onActionDown: handleAppAction });
 
 // Initialize the UI on load
 updateControlsDisplay();
 updateScoreDisplay();
+loadInitialCourtStandard();
+
+// --- Render Statistics ---
+// Draw calls of the last frame, to check that the markings and nets stay batched
+const renderStatsElement = document.getElementById('render-stats');
+let lastRenderStatsUpdate = 0;
+
+/**
+ * Shows the draw calls, triangles and line segments of the last rendered frame.
+ * @param {number} timestamp - Current frame time in milliseconds.
+ */
+function updateRenderStats(timestamp) {
+  if (!renderStatsElement || timestamp - lastRenderStatsUpdate < 500) {
+    return;
+  }
+  lastRenderStatsUpdate = timestamp;
+  const { calls, triangles, lines } = renderer.info.render;
+  renderStatsElement.textContent = `Draw calls: ${calls} | Triangles: ${triangles} | Lines: ${lines}`;
+}
+
+// Physics runs in fixed steps of real time, whatever the display refresh rate
+const physicsClock = new FixedStepClock({ step: PHYSICS_TIME_STEP });
 
 // Animation function
-function animate() {
+function animate(timestamp = performance.now()) {
   requestAnimationFrame(animate);
   
   // Update controls
   controls.enabled = isOrbitEnabled;
-  basketball.update();
+  const { steps, alpha } = physicsClock.tick(timestamp);
+  const balls = getActiveBalls();
+  const { versus } = gameModes[gameModeIndex];
+  for (let i = 0; i < steps; i++) {
+    nets.forEach(net => net.physics.step());
+    balls.forEach(ball => ball.step());
+    if (versus) {
+      collideBalls(balls[0].physics, balls[1].physics);
+    } else if (!basketball.practice) {
+      game.step(PHYSICS_TIME_STEP);
+    } else if (basketball.practice.step) {
+      basketball.practice.step(PHYSICS_TIME_STEP); // Drills are timed
+    }
+  }
+  updateGameClockDisplay(game);
+  updatePracticeDisplay();
+  spotMarker.render(timestamp);
+  nets.forEach(net => net.render(alpha));
+  balls.forEach(ball => ball.render(alpha));
   controls.update();
   
   renderer.render(scene, camera);
+  updateRenderStats(timestamp);
 }
 
 animate();
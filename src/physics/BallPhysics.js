@@ -0,0 +1,1111 @@
+/**
+ * BallPhysics.js
+ *
+ * The headless simulation of the basketball: its state, integration, collisions
+ * with the floor and the hoops, and basket detection. It has no dependency on
+ * THREE or the DOM, so it runs in plain Node (see the tests) as well as in the
+ * browser, where the Basketball component draws it and feeds it keyboard input.
+ *
+ * The ball carries a real angular velocity. It is set by the backspin given at
+ * release (or by rolling on the court), changed by friction at the hoop contacts,
+ * and turned into the ball's orientation, so the drawn spin is the simulated one.
+ * With aerodynamics enabled, it also bends the flight through the Magnus effect.
+ *
+ * On the court the ball is dribbled: it bounces between the floor and a virtual hand,
+ * a little faster the faster the player moves, and the player speeds up and slows down
+ * instead of starting and stopping at once. A shot can only be taken from the top of
+ * the dribble, or once the ball is gathered (see `gather`).
+ *
+ * After a miss the ball stays live: it can be caught for a rebound (see `catchRebound`),
+ * and a ball that touches the floor outside the lines, or the supports of a basket, is out
+ * of bounds and comes back to the nearest inbound spot.
+ *
+ * Several balls can be on the court at once, one per player. A ball owned by a team
+ * attacks that team's basket from anywhere, and its baskets score for its owner; the
+ * balls bounce off each other (see `collideBalls`).
+ *
+ * Results are reported through events instead of touching the score directly:
+ *   'shot'   - { owner, shotType, shotStyle, targetSide, releasePosition }
+ *   'basket' - { owner, team, side, shotType, shotStyle, makeType }
+ *   'miss'   - { owner, shotType, shotStyle, targetSide, result, airBall, position }
+ * where `result` is how the missed ball ended up: 'rebound' (caught), 'outOfBounds',
+ * 'backcourt' (came to rest in the backcourt) or 'loose' (came to rest in the frontcourt).
+ */
+
+import { RIM_RADIUS, RIM_TUBE_THICKNESS, getHoopColliders } from '../components/Hoops.js';
+import {
+    getCourtSpec,
+    getHoopSides,
+    getBasketCenter,
+    getCourtSurfaceY,
+    getFloorSize,
+    getFreeThrowLineX,
+    classifyShot,
+    isInBounds,
+    isInFrontcourt,
+    onCourtSpecChange
+} from '../court/CourtSpec.js';
+
+// --- Constants & Dimensions (in meters) ---
+export const BALL_RADIUS = 0.12;
+const DRIBBLE_SPEED = 3; // m/s, top speed of the player dribbling the ball around the court
+const DRIBBLE_ACCELERATION = 6; // m/s^2, reaches the top speed in half a second
+const DRIBBLE_DECELERATION = 10; // m/s^2, stopping is quicker than starting
+export const HAND_HEIGHT = 0.9; // Height of the ball center in the hand at the top of the dribble, above the floor
+const STANDING_DRIBBLE_PERIOD = 0.6; // Seconds from the hand to the floor and back, standing still
+const RUNNING_DRIBBLE_PERIOD = 0.4; // And at the top speed, so the dribble keeps up with the stride
+const DRIBBLE_TOP_WINDOW = 0.1; // Part of the dribble around the top (in the hand) a shot can be taken from
+const REBOUND_REACH = 2.9; // Highest a rebound can be caught, above the floor (below the rim, no goaltending)
+const INBOUND_MARGIN = 0.5; // How far inside the lines an out-of-bounds ball comes back
+const FLOOR_EDGE_MARGIN = 0.2; // Keeps the ball a little inside the edge of the floor
+const TEAM_START_OFFSET = 1; // How far to the side of the free-throw line a team's ball starts, see getTeamStartSpot
+
+const GRAVITY = -9.8; // m/s^2
+const FRAME_RATE = 60; // physics steps per second, independent of the display refresh rate
+const DT = 1 / FRAME_RATE; // time step in seconds
+export const PHYSICS_TIME_STEP = DT; // The main loop's FixedStepClock runs one `step()` per DT of real time
+const BALL_BOUNCINESS = 0.7;
+const BALL_TO_BALL_BOUNCINESS = 0.8; // Two balls bounce off each other a little better than off the floor
+const VELOCITY_THRESHOLD = 1; // Slower landings don't bounce, the ball stays on the floor and rolls
+const FLOOR_FRICTION = 0.6; // Sliding friction coefficient between the ball and the floor
+const ROLLING_RESISTANCE = 0.05; // Rolling resistance coefficient, slows a rolling ball to a stop
+const REST_SPEED = 0.05; // m/s, a rolling ball slower than this comes to rest
+const SPIN_DECAY = 0.98; // Fraction of the spin about the vertical axis kept per step on the floor
+const PHYSICS_SPEED_MULTIPLIER = 0.8; // Slower visual movement
+
+// Launch speed at zero and full power. See ShotSolver.js for the speed a shot actually needs.
+export const MIN_LAUNCH_SPEED = 7.5;
+export const MAX_LAUNCH_SPEED = 15;
+const CLOSE_SHOT_DISTANCE = 5; // Shots closer than this get the high automatic arc
+
+// Aerodynamics (a size 7 basketball in air at sea level)
+const BALL_MASS = 0.62; // kg
+const AIR_DENSITY = 1.2; // kg/m^3
+const DRAG_COEFFICIENT = 0.5;
+const CROSS_SECTION_AREA = Math.PI * BALL_RADIUS * BALL_RADIUS;
+// Drag acceleration is DRAG_FACTOR * speed^2, opposite the velocity
+const DRAG_FACTOR = 0.5 * AIR_DENSITY * DRAG_COEFFICIENT * CROSS_SECTION_AREA / BALL_MASS;
+// Magnus acceleration is MAGNUS_FACTOR * (angular velocity x velocity), for a lift coefficient of r*omega/v
+const MAGNUS_FACTOR = 0.5 * AIR_DENSITY * CROSS_SECTION_AREA * BALL_RADIUS / BALL_MASS;
+const INERTIA_FACTOR = 2 / 3; // Moment of inertia of a hollow sphere, in units of m*r^2
+
+// Hoop collision constants, per collider material (see getHoopColliders in Hoops.js)
+// restitution: fraction of the normal speed kept after the hit
+// tangentialDamping: fraction of the sliding speed kept (high on the rim so the ball can roll around it).
+//   Friction acts on the slip at the contact point, so a spinning ball also trades spin for speed.
+const COLLISION_MATERIALS = {
+    rim: { restitution: 0.55, tangentialDamping: 0.9 },
+    glass: { restitution: 0.65, tangentialDamping: 0.85 },
+    steel: { restitution: 0.4, tangentialDamping: 0.8 }
+};
+let hoopColliders = getHoopColliders();
+onCourtSpecChange(() => {
+    hoopColliders = getHoopColliders();
+});
+
+// Basket detection constants (the detection height is the rim height from the court spec)
+const BASKET_DETECTION_RADIUS = RIM_RADIUS - RIM_TUBE_THICKNESS; // Inner edge of the rim
+const BASKET_COOLDOWN_TIME = 2; // 2 seconds (of simulation time) cooldown between baskets
+
+const MAX_PREDICTION_STEPS = 600; // Longest shot `predictShot` follows, 10 seconds of simulation time
+
+export class BallPhysics {
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.aerodynamics=false] - Apply air drag and the Magnus force to the ball in flight.
+     * @param {NetPhysics[]} [options.nets=[]] - Nets the ball pushes through (see NetPhysics.js). The nets are
+     *        stepped by their owner, so several balls can share them.
+     * @param {string|null} [options.owner=null] - The team the ball belongs to, 'home' or 'away'. It shoots at
+     *        that team's basket and scores for it; without an owner it shoots at the nearest basket, and scores
+     *        for the team that attacks it.
+     */
+    constructor({ aerodynamics = false, nets = [], owner = null } = {}) {
+        this.listeners = {};
+        this.aerodynamics = aerodynamics;
+        this.nets = nets;
+        this.owner = owner;
+
+        // Physics state, advanced in fixed steps of DT
+        this.position = { x: 0, y: 0, z: 0 };
+        this.previousPosition = { x: 0, y: 0, z: 0 }; // State before the last step, for render interpolation
+        this.velocity = { x: 0, y: 0, z: 0 };
+        this.shooting = false;
+        this.simulationTime = 0; // Seconds of simulated time, drives the basket cooldown
+
+        // Basket detection properties
+        this.lastBasketTime = -BASKET_COOLDOWN_TIME;
+        this.basketDetected = false;
+        this.shotResultDetermined = false; // Track if we've already determined the shot result
+        this.touchedBackboard = false;
+        this.touchedRim = false;
+        this.touchedFloor = false; // The shot has hit the floor, it can be rebounded from then on
+        this.releasePosition = null; // Where the current shot was released from
+        this.shotType = '2PT'; // '2PT', '3PT' or 'FT', classified at release
+        this.shotStyle = 'jumper'; // How the shot was taken, see ShotStyles.js
+        this.targetSide = 1; // Side of the basket the current shot is aimed at
+
+        // Dribble state: the player's speed on the court, and where the ball is in its bounce
+        // (phase 0 is the top of the dribble, in the hand, and 0.5 the floor)
+        this.carryVelocity = { x: 0, z: 0 };
+        this.dribbling = false;
+        this.dribblePhase = 0;
+        this.dribblePeriod = STANDING_DRIBBLE_PERIOD; // Chosen at the top of every dribble
+        this.gathered = false; // Held in both hands, it only leaves them in a shot
+
+        // Rotation state: angular velocity in radians per second, and the orientation it
+        // integrates into, as a unit quaternion (with the previous one for render interpolation)
+        this.angularVelocity = { x: 0, y: 0, z: 0 };
+        this.orientation = { x: 0, y: 0, z: 0, w: 1 };
+        this.previousOrientation = { ...this.orientation };
+
+        this.reset();
+    }
+
+    /**
+     * Registers a function to call when the simulation reports an event.
+     * @param {string} eventName - 'shot', 'basket' or 'miss'.
+     * @param {function(Object): void} listener - Receives the event data.
+     */
+    on(eventName, listener) {
+        (this.listeners[eventName] = this.listeners[eventName] || []).push(listener);
+    }
+
+    /** @private */
+    _emit(eventName, data) {
+        (this.listeners[eventName] || []).forEach(listener => listener(data));
+    }
+
+    /**
+     * Puts the ball back where it starts, at rest: its owner's start spot, or center court.
+     * A shot in flight is taken back with it.
+     */
+    reset() {
+        const spot = this.owner ? getTeamStartSpot(this.owner) : { x: 0, z: 0 };
+        this.placeAt(spot.x, spot.z);
+    }
+
+    /**
+     * Places the ball at rest on the floor at the given spot.
+     * @param {number} x - X position on the court.
+     * @param {number} z - Z position on the court.
+     */
+    placeAt(x, z) {
+        this.position = { x, y: getCourtSurfaceY() + BALL_RADIUS, z };
+        this.previousPosition = { ...this.position }; // Don't interpolate across the move
+        this.velocity = { x: 0, y: 0, z: 0 };
+        this.angularVelocity = { x: 0, y: 0, z: 0 };
+        this.shooting = false;
+        this._endDribble();
+    }
+
+    /**
+     * Gathers the ball: a dribble is caught at its next top, and the ball is then held
+     * (and carried) until it is shot. A ball that isn't being dribbled is picked up at once,
+     * into the hands at the top of the dribble, so a standing shot leaves from where a shot
+     * off the dribble does.
+     */
+    gather() {
+        if (this.shooting) {
+            return;
+        }
+        this.gathered = true;
+        if (!this.dribbling) {
+            this.position.y = getCourtSurfaceY() + HAND_HEIGHT;
+        }
+    }
+
+    /**
+     * Checks whether a shot can be taken now: from a gathered or resting ball, or from the top
+     * of the dribble.
+     * @returns {boolean} True if `shootTowardNearestHoop` would shoot.
+     */
+    canShoot() {
+        if (this.shooting) {
+            return false;
+        }
+        if (!this.dribbling) {
+            return true;
+        }
+        const fromTop = Math.min(this.dribblePhase, 1 - this.dribblePhase);
+        return fromTop <= DRIBBLE_TOP_WINDOW / 2;
+    }
+
+    /**
+     * Where a shot taken now would leave from: the hand, for a gathered ball or at the top of
+     * the dribble, or where the ball is.
+     * @param {boolean} [gathered] - Where it would leave from once gathered, e.g. for a player who
+     *        always gathers the ball to shoot. Defaults to whether it is gathered now.
+     * @returns {{x: number, y: number, z: number}} Ball center at release.
+     */
+    getShotPosition(gathered = this.gathered) {
+        const { x, y, z } = this.position;
+        return this.dribbling || gathered ? { x, y: getCourtSurfaceY() + HAND_HEIGHT, z } : { x, y, z };
+    }
+
+    /**
+     * Checks whether the ball in the air can be caught now: once the shot has been made, or
+     * after it has touched the rim, the backboard or the floor, and only within reach.
+     * @returns {boolean} True if `catchRebound` would catch the ball.
+     */
+    canCatchRebound() {
+        if (!this.shooting) {
+            return false;
+        }
+        const live = this.shotResultDetermined || this.touchedRim || this.touchedBackboard || this.touchedFloor;
+        return live && this.position.y <= getCourtSurfaceY() + REBOUND_REACH;
+    }
+
+    /**
+     * Catches the ball after a shot, where it is. A missed shot is reported with a 'rebound'
+     * result, and the ball is held at hand height, gathered for the next shot.
+     * @returns {boolean} True if the ball was caught.
+     */
+    catchRebound() {
+        if (!this.canCatchRebound()) {
+            return false;
+        }
+        const { x, z } = this.position;
+        this.placeAt(x, z);
+        this.position.y = getCourtSurfaceY() + HAND_HEIGHT;
+        this.previousPosition = { ...this.position };
+        this.gathered = true;
+        this._reportMiss('rebound');
+        return true;
+    }
+
+    /**
+     * Gets the basket a shot from a spot goes to: the one the owner attacks, or the nearest one.
+     * @param {number} x - X position on the court.
+     * @returns {number} The side of the basket (-1 for left, 1 for right).
+     */
+    getTargetSide(x) {
+        return this.owner ? getTeamHoopSide(this.owner) : getNearestHoopSide(x);
+    }
+
+    /**
+     * Shoots the ball toward the nearest basket, or the owner's (see `getTargetSide`).
+     * @param {number} power - Shot power, from 0 to 1.
+     * @param {number} [backspin=0] - Backspin given at release, in revolutions per second.
+     * @param {Object} [aim] - Manual aim. Without it the shot goes dead-center at the basket, at the automatic angle.
+     * @param {number} [aim.yaw=0] - Horizontal offset from the basket, in radians (positive turns left, counter-clockwise seen from above).
+     * @param {number} [aim.launchAngle] - Launch angle above the horizontal, in radians.
+     * @param {number} [aim.launchSpeed] - Launch speed, used instead of the power (e.g. a solved perfect shot).
+     * @param {{x: number, y: number, z: number}} [aim.release] - Where the ball leaves the hands, instead of where it is.
+     * @param {string} [aim.shotStyle='jumper'] - How the shot is taken, recorded with the shot (see ShotStyles.js).
+     * @param {number} [aim.targetSide] - Side of the basket to shoot at, instead of the one from `getTargetSide`.
+     * @returns {Object|null} The 'shot' event data, or null if the ball is already in the air or can't be
+     *          shot from where it is in the dribble (see `canShoot`).
+     */
+    shootTowardNearestHoop(power, backspin = 0, aim = {}) {
+        if (!this.canShoot()) {
+            return null;
+        }
+
+        this.position = { ...(aim.release || this.getShotPosition()) };
+        this._endDribble();
+
+        // Find the basket to shoot at
+        const ballX = this.position.x;
+        const ballZ = this.position.z;
+        const targetSide = aim.targetSide !== undefined ? aim.targetSide : this.getTargetSide(ballX);
+        const targetX = getBasketCenter(targetSide).x;
+        const targetZ = 0;
+
+        // Direction vector from ball to hoop
+        const distXZ = Math.hypot(targetX - ballX, targetZ - ballZ);
+        const { x: dx, z: dz } = turnLeft({ x: targetX - ballX, z: targetZ - ballZ }, aim.yaw || 0);
+
+        const angle = aim.launchAngle !== undefined ? aim.launchAngle : getAutoLaunchAngle(distXZ);
+        const v = aim.launchSpeed !== undefined ? aim.launchSpeed : powerToLaunchSpeed(power);
+
+        // Calculate velocity components
+        this.velocity.x = v * Math.cos(angle) * (dx / distXZ);
+        this.velocity.z = v * Math.cos(angle) * (dz / distXZ);
+        this.velocity.y = v * Math.sin(angle);
+
+        // Backspin turns about the horizontal axis across the direction of the shot
+        // (direction x up), so the top of the ball moves back toward the shooter
+        const spin = backspin * Math.PI * 2;
+        this.angularVelocity = { x: -spin * (dz / distXZ), y: 0, z: spin * (dx / distXZ) };
+        this.shooting = true;
+        this.shotResultDetermined = false; // Reset shot result flag for new shot
+        this.lastBasketTime = -BASKET_COOLDOWN_TIME; // The cooldown only guards the last shot, a new one can score at once
+        this.touchedBackboard = false; // A make after touching the glass counts as a bank shot
+        this.touchedRim = false;
+        this.touchedFloor = false;
+        this.targetSide = targetSide;
+
+        // Record where the shot was released from, to score it as a 2PT or 3PT (or an FT, for a free throw)
+        this.releasePosition = { x: ballX, y: this.position.y, z: ballZ };
+        this.shotStyle = aim.shotStyle || 'jumper';
+        this.shotType = classifyShot(this.releasePosition, targetSide, this.shotStyle === 'freeThrow');
+
+        const shot = { owner: this.owner, shotType: this.shotType, shotStyle: this.shotStyle, targetSide, releasePosition: { ...this.releasePosition } };
+        this._emit('shot', shot);
+        return shot;
+    }
+
+    /**
+     * Predicts the flight of the shot `shootTowardNearestHoop` would take from the current spot,
+     * by running the same simulation forward on a copy of the ball. Neither this ball nor the
+     * nets are changed. The prediction follows the ball, off the backboard too, until it goes in
+     * or first hits the rim or the floor.
+     * @param {number} power - Shot power, from 0 to 1.
+     * @param {number} [backspin=0] - Backspin given at release, in revolutions per second.
+     * @param {Object} [aim] - Manual aim, as for `shootTowardNearestHoop`.
+     * @returns {{points: Object[], reachesRim: boolean, made: boolean}} The ball center at release and
+     *          after every step, whether the ball gets to the rim (touching it or going in), and whether it goes in.
+     */
+    predictShot(power, backspin = 0, aim = {}) {
+        const ghost = new BallPhysics({ aerodynamics: this.aerodynamics, owner: this.owner });
+        ghost.position = this.getShotPosition();
+        ghost.previousPosition = { ...ghost.position };
+        let made = false;
+        ghost.on('basket', () => {
+            made = true;
+        });
+        ghost.shootTowardNearestHoop(power, backspin, aim);
+
+        const points = [{ ...ghost.position }];
+        const floorY = getCourtSurfaceY() + BALL_RADIUS;
+        for (let i = 0; i < MAX_PREDICTION_STEPS; i++) {
+            ghost.step();
+            if (!ghost.shooting) {
+                break; // Out of bounds, the ball was taken back to the court
+            }
+            points.push({ ...ghost.position });
+            if (made || ghost.touchedRim || ghost.position.y <= floorY) {
+                break;
+            }
+        }
+        return { points, reachesRim: made || ghost.touchedRim, made };
+    }
+
+    /**
+     * Advances the simulation by one fixed time step (DT).
+     * @param {{x: number, z: number}} [input] - Movement direction on the court (-1, 0 or 1 per axis),
+     *        applied while the ball is not in the air.
+     */
+    step(input = { x: 0, z: 0 }) {
+        this.previousPosition = { ...this.position };
+        this.previousOrientation = { ...this.orientation };
+
+        if (this.shooting) {
+            this._updateShootingPhysics();
+        } else {
+            this._updateMovementOnCourt(input);
+        }
+        this._updateRotation();
+        this.simulationTime += DT;
+    }
+
+    /**
+     * Updates the ball's physics when shooting (gravity, collisions, bouncing).
+     * @private
+     */
+    _updateShootingPhysics() {
+        this._integrateFlight();
+
+        // Check for collisions and real-time basket detection
+        this._checkHoopCollisions();
+        if (!this.shooting) {
+            return; // Out of bounds off the supports
+        }
+        this._checkNetContact();
+        this._checkBasket();
+        this._checkGroundCollision();
+    }
+
+    /**
+     * Moves the ball in free flight over one step: velocity, gravity and, if enabled, the air.
+     * @private
+     */
+    _integrateFlight() {
+        // Apply velocity and gravity
+        this.position.x += this.velocity.x * DT * PHYSICS_SPEED_MULTIPLIER;
+        this.position.y += this.velocity.y * DT * PHYSICS_SPEED_MULTIPLIER;
+        this.position.z += this.velocity.z * DT * PHYSICS_SPEED_MULTIPLIER;
+        this.velocity.y += GRAVITY * DT;
+        if (this.aerodynamics) {
+            this._applyAerodynamics();
+        }
+    }
+
+    /**
+     * Applies quadratic air drag and the Magnus force of the ball's spin to its velocity.
+     * @private
+     */
+    _applyAerodynamics() {
+        const v = this.velocity;
+        const w = this.angularVelocity;
+        const speed = Math.hypot(v.x, v.y, v.z);
+
+        const ax = -DRAG_FACTOR * speed * v.x + MAGNUS_FACTOR * (w.y * v.z - w.z * v.y);
+        const ay = -DRAG_FACTOR * speed * v.y + MAGNUS_FACTOR * (w.z * v.x - w.x * v.z);
+        const az = -DRAG_FACTOR * speed * v.z + MAGNUS_FACTOR * (w.x * v.y - w.y * v.x);
+        v.x += ax * DT;
+        v.y += ay * DT;
+        v.z += az * DT;
+    }
+
+    /**
+     * Turns the ball's orientation by its angular velocity over one step.
+     * @private
+     */
+    _updateRotation() {
+        const w = this.angularVelocity;
+        const angularSpeed = Math.hypot(w.x, w.y, w.z);
+        if (angularSpeed < 1e-9) {
+            return;
+        }
+
+        // Rotation over this step as a quaternion, applied in world space (dq * q).
+        // Like the position, the spin advances at the slower visual speed.
+        const halfAngle = angularSpeed * DT * PHYSICS_SPEED_MULTIPLIER / 2;
+        const s = Math.sin(halfAngle) / angularSpeed;
+        const dq = { x: w.x * s, y: w.y * s, z: w.z * s, w: Math.cos(halfAngle) };
+        const q = this.orientation;
+        const result = {
+            x: dq.w * q.x + dq.x * q.w + dq.y * q.z - dq.z * q.y,
+            y: dq.w * q.y - dq.x * q.z + dq.y * q.w + dq.z * q.x,
+            z: dq.w * q.z + dq.x * q.y - dq.y * q.x + dq.z * q.w,
+            w: dq.w * q.w - dq.x * q.x - dq.y * q.y - dq.z * q.z
+        };
+        const length = Math.hypot(result.x, result.y, result.z, result.w);
+        this.orientation = { x: result.x / length, y: result.y / length, z: result.z / length, w: result.w / length };
+    }
+
+    /**
+     * Checks for collisions with the rims, backboards and supports and handles bouncing.
+     * @private
+     */
+    _checkHoopCollisions() {
+        for (const collider of hoopColliders) {
+            const { point, surfaceRadius } = closestPointOnCollider(collider, this.position);
+            if (this._resolveContact(point, surfaceRadius, COLLISION_MATERIALS[collider.material])) {
+                this.touchedBackboard = this.touchedBackboard || collider.material === 'glass';
+                this.touchedRim = this.touchedRim || collider.material === 'rim';
+                // The supports and the back of the backboard are out of bounds
+                const behindBackboard = collider.material === 'glass' && collider.side * (this.position.x - collider.center.x) > 0;
+                if (collider.outOfBounds || behindBackboard) {
+                    this._goOutOfBounds();
+                    return;
+                }
+            }
+        }
+    }
+
+    /**
+     * Lets the ball push through the nets, which slow it down a little.
+     * @private
+     */
+    _checkNetContact() {
+        this.nets.forEach(net => net.collideBall(this, BALL_RADIUS));
+    }
+
+    /**
+     * Resolves contact between the ball and the closest point of a solid surface:
+     * pushes the ball out and reflects its velocity about the surface normal.
+     * @private
+     * @param {{x: number, y: number, z: number}} point - Closest point on the collider.
+     * @param {number} surfaceRadius - Thickness around that point (the rim's tube radius, 0 for flat surfaces).
+     * @param {{restitution: number, tangentialDamping: number}} material - How the surface responds.
+     * @returns {boolean} True if the ball was touching the surface.
+     */
+    _resolveContact(point, surfaceRadius, material) {
+        const position = this.position;
+        const contactDistance = BALL_RADIUS + surfaceRadius;
+
+        const nx = position.x - point.x;
+        const ny = position.y - point.y;
+        const nz = position.z - point.z;
+        const dist = Math.sqrt(nx*nx + ny*ny + nz*nz);
+        if (dist >= contactDistance || dist < 1e-6) {
+            return false;
+        }
+
+        // Surface normal at the contact point
+        const normal = { x: nx / dist, y: ny / dist, z: nz / dist };
+
+        // Push the ball out so it rests on the surface
+        const penetration = contactDistance - dist;
+        position.x += normal.x * penetration;
+        position.y += normal.y * penetration;
+        position.z += normal.z * penetration;
+
+        const normalSpeed = this.velocity.x * normal.x + this.velocity.y * normal.y + this.velocity.z * normal.z;
+        if (normalSpeed >= 0) {
+            return true; // Already moving away from the surface
+        }
+
+        // Reflect the normal part of the velocity
+        const reflectedSpeed = -normalSpeed * material.restitution;
+        this.velocity.x += (reflectedSpeed - normalSpeed) * normal.x;
+        this.velocity.y += (reflectedSpeed - normalSpeed) * normal.y;
+        this.velocity.z += (reflectedSpeed - normalSpeed) * normal.z;
+
+        // Friction opposes the slip of the ball's surface at the contact point: the tangential
+        // velocity plus the spin's surface speed there (w x r, with r = -BALL_RADIUS * normal).
+        // For a ball without spin this damps the sliding speed by tangentialDamping.
+        const w = this.angularVelocity;
+        const slip = {
+            x: this.velocity.x - reflectedSpeed * normal.x - BALL_RADIUS * (w.y * normal.z - w.z * normal.y),
+            y: this.velocity.y - reflectedSpeed * normal.y - BALL_RADIUS * (w.z * normal.x - w.x * normal.z),
+            z: this.velocity.z - reflectedSpeed * normal.z - BALL_RADIUS * (w.x * normal.y - w.y * normal.x)
+        };
+        const friction = 1 - material.tangentialDamping;
+        const impulse = { x: -slip.x * friction, y: -slip.y * friction, z: -slip.z * friction };
+        this.velocity.x += impulse.x;
+        this.velocity.y += impulse.y;
+        this.velocity.z += impulse.z;
+
+        // The same impulse, applied at the contact point, changes the spin (r x impulse / I)
+        const spinScale = -1 / (INERTIA_FACTOR * BALL_RADIUS);
+        w.x += spinScale * (normal.y * impulse.z - normal.z * impulse.y);
+        w.y += spinScale * (normal.z * impulse.x - normal.x * impulse.z);
+        w.z += spinScale * (normal.x * impulse.y - normal.y * impulse.x);
+        return true;
+    }
+
+    /**
+     * Checks if the ball has gone through a hoop and scores a basket.
+     * @private
+     */
+    _checkBasket() {
+        const currentTime = this.simulationTime;
+
+        // Check if enough time has passed since last basket (cooldown)
+        if (currentTime - this.lastBasketTime < BASKET_COOLDOWN_TIME) {
+            return;
+        }
+
+        const rimHeight = getCourtSpec().hoop.height;
+        for (const side of getHoopSides()) {
+            const hoopX = getBasketCenter(side).x;
+            const dx = this.position.x - hoopX;
+            const dz = this.position.z;
+            const dy = this.position.y - rimHeight;
+
+            // Check if ball is within the hoop area
+            const horizontalDist = Math.sqrt(dx*dx + dz*dz);
+            const isWithinHoop = horizontalDist < BASKET_DETECTION_RADIUS;
+            const isMovingDown = this.velocity.y < 0;
+            // Ball center has dropped through the rim plane (balls resting on top of the rim don't count)
+            const isAtRimLevel = dy <= 0 && Math.abs(dy) < BALL_RADIUS * 1.2;
+
+            // Basket detected: ball is within hoop, at rim level, and moving downward
+            if (isWithinHoop && isAtRimLevel && isMovingDown && !this.basketDetected) {
+                this.basketDetected = true;
+                this.shotResultDetermined = true; // Mark that we've determined the shot result
+                this.lastBasketTime = currentTime;
+
+                // Determine which team scores: the ball's owner, or the team attacking the hoop
+                const isHomeHoop = side > 0; // Positive X is home hoop
+                this._emit('basket', {
+                    owner: this.owner,
+                    team: this.owner || (isHomeHoop ? 'away' : 'home'), // Away team scores on home hoop and vice versa
+                    side,
+                    shotType: this.shotType,
+                    shotStyle: this.shotStyle,
+                    makeType: this.touchedBackboard ? 'bank' : 'direct'
+                });
+            }
+        }
+
+        // Reset basket detection when ball is no longer near rim
+        if (this.position.y < rimHeight - BALL_RADIUS * 2) {
+            this.basketDetected = false;
+        }
+    }
+
+    /**
+     * Checks for collision with the ground and handles bouncing, rolling and stopping.
+     * @private
+     */
+    _checkGroundCollision() {
+        const courtSurfaceY = getCourtSurfaceY();
+        if (this.position.y <= courtSurfaceY + BALL_RADIUS + 0.01) {
+            this.position.y = courtSurfaceY + BALL_RADIUS;
+            if (!isInBounds(this.position)) {
+                this._goOutOfBounds();
+                return;
+            }
+            this.touchedFloor = true;
+
+            if (this._isLandingHardEnough()) {
+                this._bounceOffGround();
+            } else {
+                this._rollOnGround();
+            }
+        }
+    }
+
+    /**
+     * Checks if the ball hits the ground hard enough to bounce.
+     * @private
+     * @returns {boolean} True if the ball should bounce.
+     */
+    _isLandingHardEnough() {
+        return this.velocity.y < -VELOCITY_THRESHOLD;
+    }
+
+    /**
+     * Handles the ball bouncing off the ground with energy loss.
+     * Friction during the impact acts on the slip of the contact point, so it trades
+     * horizontal speed for spin: backspin checks the ball up, topspin makes it skid forward.
+     * @private
+     */
+    _bounceOffGround() {
+        const normalImpulse = -this.velocity.y * (1 + BALL_BOUNCINESS);
+        this.velocity.y = -this.velocity.y * BALL_BOUNCINESS;
+        this._applyFloorFriction(FLOOR_FRICTION * normalImpulse);
+    }
+
+    /**
+     * Keeps the ball on the ground: it slides until the floor friction makes it roll,
+     * then rolling resistance slows it until it comes to rest.
+     * @private
+     */
+    _rollOnGround() {
+        this.velocity.y = 0;
+
+        const slipping = this._applyFloorFriction(FLOOR_FRICTION * -GRAVITY * DT);
+        if (!slipping) {
+            // Rolling: slow down, and keep the spin matched to the speed (angular velocity = up x velocity / r)
+            const speed = Math.hypot(this.velocity.x, this.velocity.z);
+            const slowedSpeed = Math.max(0, speed - ROLLING_RESISTANCE * -GRAVITY * DT);
+            const scale = speed > 0 ? slowedSpeed / speed : 0;
+            this.velocity.x *= scale;
+            this.velocity.z *= scale;
+            this.angularVelocity = {
+                x: this.velocity.z / BALL_RADIUS,
+                y: this.angularVelocity.y * SPIN_DECAY,
+                z: -this.velocity.x / BALL_RADIUS
+            };
+        } else {
+            this.angularVelocity.y *= SPIN_DECAY;
+        }
+
+        if (!slipping && Math.hypot(this.velocity.x, this.velocity.z) < REST_SPEED) {
+            this._stopBall();
+        }
+    }
+
+    /**
+     * Applies a friction impulse from the floor against the slip of the ball's contact point
+     * (its horizontal velocity plus the spin's surface speed there, w x r with r = -BALL_RADIUS * up).
+     * The impulse changes both the velocity and the spin, and never more than it takes to stop the slip.
+     * @private
+     * @param {number} maxImpulse - Largest friction impulse, per unit mass (m/s).
+     * @returns {boolean} True if the ball is still slipping afterwards.
+     */
+    _applyFloorFriction(maxImpulse) {
+        const w = this.angularVelocity;
+        const slipX = this.velocity.x + BALL_RADIUS * w.z;
+        const slipZ = this.velocity.z - BALL_RADIUS * w.x;
+        const slipSpeed = Math.hypot(slipX, slipZ);
+        if (slipSpeed < 1e-6) {
+            return false;
+        }
+
+        // An impulse J changes the slip by J * (1 + 1 / INERTIA_FACTOR), so this much stops it
+        const impulseToRoll = slipSpeed / (1 + 1 / INERTIA_FACTOR);
+        const impulse = Math.min(maxImpulse, impulseToRoll);
+        const impulseX = -slipX / slipSpeed * impulse;
+        const impulseZ = -slipZ / slipSpeed * impulse;
+
+        this.velocity.x += impulseX;
+        this.velocity.z += impulseZ;
+        // The impulse acts at the contact point, below the center: r x J / I
+        const spinScale = 1 / (INERTIA_FACTOR * BALL_RADIUS);
+        w.x -= impulseZ * spinScale;
+        w.z += impulseX * spinScale;
+
+        return impulse < impulseToRoll;
+    }
+
+    /**
+     * Stops the ball's movement and ends shooting state.
+     * @private
+     */
+    _stopBall() {
+        this.velocity.y = 0;
+        this.velocity.x = 0;
+        this.velocity.z = 0;
+        this.angularVelocity = { x: 0, y: 0, z: 0 };
+        this.shooting = false;
+        this._reportMiss(isInFrontcourt(this.position, this.targetSide) ? 'loose' : 'backcourt');
+    }
+
+    /**
+     * Ends the play when the ball goes out of bounds, and brings it back to the court at the
+     * inbound spot nearest to where it went out.
+     * @private
+     */
+    _goOutOfBounds() {
+        const wentOut = { ...this.position };
+        const spot = getInboundSpot(wentOut);
+        this.placeAt(spot.x, spot.z);
+        this._reportMiss('outOfBounds', wentOut);
+    }
+
+    /**
+     * Reports how a missed shot ended up, unless the shot already has a result (a basket).
+     * @private
+     * @param {string} result - 'rebound', 'outOfBounds', 'backcourt' or 'loose'.
+     * @param {{x: number, y: number, z: number}} [position] - Where it happened, defaults to where the ball is.
+     */
+    _reportMiss(result, position = this.position) {
+        if (this.shotResultDetermined) {
+            return;
+        }
+        this.shotResultDetermined = true;
+        this._emit('miss', {
+            owner: this.owner,
+            shotType: this.shotType,
+            shotStyle: this.shotStyle,
+            targetSide: this.targetSide,
+            result,
+            airBall: !this.touchedRim && !this.touchedBackboard,
+            position: { ...position }
+        });
+    }
+
+    /**
+     * Moves the player (and the ball) on the court when not shooting, speeding up toward the
+     * movement input and slowing down without it, and dribbles the ball while moving.
+     * @private
+     * @param {{x: number, z: number}} input - Movement direction on the court.
+     */
+    _updateMovementOnCourt(input) {
+        const start = { ...this.position };
+        const carry = this.carryVelocity;
+        carry.x = approach(carry.x, input.x * DRIBBLE_SPEED, getRampRate(carry.x, input.x));
+        carry.z = approach(carry.z, input.z * DRIBBLE_SPEED, getRampRate(carry.z, input.z));
+        this.position.x += carry.x * DT;
+        this.position.z += carry.z * DT;
+
+        // Boundary checks, the player stops at the edge
+        const boundaries = getCourtBoundaries();
+        if (Math.abs(this.position.x) > boundaries.x) {
+            this.position.x = clamp(this.position.x, -boundaries.x, boundaries.x);
+            carry.x = 0;
+        }
+        if (Math.abs(this.position.z) > boundaries.z) {
+            this.position.z = clamp(this.position.z, -boundaries.z, boundaries.z);
+            carry.z = 0;
+        }
+
+        const moving = input.x !== 0 || input.z !== 0 || carry.x !== 0 || carry.z !== 0;
+        if (this.dribbling) {
+            this._updateDribble();
+        } else if (moving && !this.gathered) {
+            this._startDribble();
+        }
+        this.velocity.x = carry.x;
+        this.velocity.z = carry.z;
+
+        if (this.gathered && !this.dribbling) {
+            this.angularVelocity = { x: 0, y: 0, z: 0 }; // Held still in the hands
+            return;
+        }
+        // Roll without slipping over the distance actually moved (angular velocity = up x velocity / r)
+        const rollingScale = 1 / (BALL_RADIUS * DT * PHYSICS_SPEED_MULTIPLIER);
+        this.angularVelocity = {
+            x: (this.position.z - start.z) * rollingScale,
+            y: 0,
+            z: -(this.position.x - start.x) * rollingScale
+        };
+    }
+
+    /**
+     * Starts dribbling: off the floor if the ball is down there, otherwise from the hand.
+     * @private
+     */
+    _startDribble() {
+        this.dribbling = true;
+        this.dribblePeriod = this._getDribblePeriod();
+        const onFloor = this.position.y < getCourtSurfaceY() + HAND_HEIGHT / 2;
+        this.dribblePhase = onFloor ? 0.5 : 0;
+        this._setDribbleHeight();
+    }
+
+    /**
+     * Advances the dribble by one step. At the top of every dribble the hand sets the
+     * rhythm of the next one, or catches the ball if it is being gathered.
+     * @private
+     */
+    _updateDribble() {
+        this.dribblePhase += DT / this.dribblePeriod;
+        if (this.dribblePhase >= 1) {
+            if (this.gathered) {
+                this.dribbling = false;
+                this.position.y = getCourtSurfaceY() + HAND_HEIGHT;
+                this.velocity.y = 0;
+                return;
+            }
+            this.dribblePhase -= 1;
+            this.dribblePeriod = this._getDribblePeriod();
+        }
+        this._setDribbleHeight();
+    }
+
+    /**
+     * Places the ball in its bounce. It is pushed down from the hand and falls under gravity,
+     * fast enough to reach the floor in half the period, then bounces back up the same way.
+     * @private
+     */
+    _setDribbleHeight() {
+        const halfPeriod = this.dribblePeriod / 2;
+        const drop = HAND_HEIGHT - BALL_RADIUS;
+        const pushSpeed = (drop + GRAVITY * halfPeriod * halfPeriod / 2) / halfPeriod;
+        const falling = this.dribblePhase < 0.5;
+        const t = (falling ? this.dribblePhase : 1 - this.dribblePhase) * this.dribblePeriod; // Time from the hand
+        this.position.y = getCourtSurfaceY() + HAND_HEIGHT - pushSpeed * t + GRAVITY * t * t / 2;
+        const speed = pushSpeed - GRAVITY * t; // Downward speed (GRAVITY is negative)
+        this.velocity.y = falling ? -speed : speed;
+    }
+
+    /**
+     * The length of the next dribble, shorter the faster the player moves.
+     * @private
+     */
+    _getDribblePeriod() {
+        const speed = Math.min(1, Math.hypot(this.carryVelocity.x, this.carryVelocity.z) / DRIBBLE_SPEED);
+        return STANDING_DRIBBLE_PERIOD + (RUNNING_DRIBBLE_PERIOD - STANDING_DRIBBLE_PERIOD) * speed;
+    }
+
+    /**
+     * Stops the dribble and the player, e.g. for a shot.
+     * @private
+     */
+    _endDribble() {
+        this.dribbling = false;
+        this.gathered = false;
+        this.dribblePhase = 0;
+        this.carryVelocity = { x: 0, z: 0 };
+    }
+}
+
+// --- Court Helpers ---
+
+/**
+ * Finds the basket closest (along the court's length) to an X position.
+ * @param {number} x - X position on the court.
+ * @returns {number} The side of the nearest basket (-1 for left, 1 for right).
+ */
+export function getNearestHoopSide(x) {
+    return getHoopSides().reduce((nearest, side) =>
+        Math.abs(x - getBasketCenter(side).x) < Math.abs(x - getBasketCenter(nearest).x) ? side : nearest);
+}
+
+/**
+ * Gets the basket a team attacks: the home team shoots at the left one (the away team's),
+ * the away team at the right one. On a half court both attack the only basket.
+ * @param {string} team - 'home' or 'away'.
+ * @returns {number} The side of the basket (-1 for left, 1 for right).
+ */
+export function getTeamHoopSide(team) {
+    const side = team === 'home' ? -1 : 1;
+    return getHoopSides().includes(side) ? side : getHoopSides()[0];
+}
+
+/**
+ * Where a team's ball starts, head to head: on the free-throw line of the basket the team
+ * attacks, a step to its side, so two players sharing the basket of a half court start apart.
+ * @param {string} team - 'home' or 'away'.
+ * @returns {{x: number, z: number}} The spot on the floor.
+ */
+export function getTeamStartSpot(team) {
+    return {
+        x: getFreeThrowLineX(getTeamHoopSide(team)),
+        z: team === 'home' ? -TEAM_START_OFFSET : TEAM_START_OFFSET
+    };
+}
+
+/**
+ * Gets how far the ball may be moved from the center of the floor.
+ * @returns {{x: number, z: number}} Half-extents of the allowed area.
+ */
+function getCourtBoundaries() {
+    const floor = getFloorSize();
+    return {
+        x: floor.length / 2 - FLOOR_EDGE_MARGIN,
+        z: floor.width / 2 - FLOOR_EDGE_MARGIN
+    };
+}
+
+/**
+ * Gets the spot an out-of-bounds ball comes back to: the nearest spot inside the lines,
+ * a little way in from them.
+ * @param {{x: number, z: number}} position - Where the ball went out.
+ * @returns {{x: number, z: number}} The inbound spot.
+ */
+function getInboundSpot(position) {
+    const { length, width } = getCourtSpec();
+    return {
+        x: clamp(position.x, -length / 2 + INBOUND_MARGIN, length / 2 - INBOUND_MARGIN),
+        z: clamp(position.z, -width / 2 + INBOUND_MARGIN, width / 2 - INBOUND_MARGIN)
+    };
+}
+
+// --- Collision Helpers ---
+
+/**
+ * Bounces two balls off each other when they touch. A ball in flight gives way; a ball on
+ * the court is in the player's hands and doesn't, so a shot bounces off it. Two balls on the
+ * court are only pushed apart. Call after stepping both balls.
+ * @param {BallPhysics} a - One ball.
+ * @param {BallPhysics} b - The other ball.
+ * @returns {boolean} True if the balls touched.
+ */
+export function collideBalls(a, b) {
+    const dx = b.position.x - a.position.x;
+    const dy = b.position.y - a.position.y;
+    const dz = b.position.z - a.position.z;
+    const distance = Math.sqrt(dx*dx + dy*dy + dz*dz);
+    const overlap = 2 * BALL_RADIUS - distance;
+    if (overlap <= 0) {
+        return false;
+    }
+    // Normal from a to b; balls at the very same spot are pushed apart along X
+    const n = distance > 1e-6 ? { x: dx / distance, y: dy / distance, z: dz / distance } : { x: 1, y: 0, z: 0 };
+
+    // How much of the push and the impulse each ball takes: all of it for a ball in flight
+    // against a held one, half each for two balls in flight or two held ones
+    const aGives = a.shooting ? 1 : 0;
+    const bGives = b.shooting ? 1 : 0;
+    const aShare = aGives + bGives > 0 ? aGives / (aGives + bGives) : 0.5;
+    const bShare = 1 - aShare;
+    a.position.x -= n.x * overlap * aShare;
+    a.position.y -= n.y * overlap * aShare;
+    a.position.z -= n.z * overlap * aShare;
+    b.position.x += n.x * overlap * bShare;
+    b.position.y += n.y * overlap * bShare;
+    b.position.z += n.z * overlap * bShare;
+
+    // Closing speed along the normal, only balls moving toward each other bounce
+    const closing = (a.velocity.x - b.velocity.x) * n.x + (a.velocity.y - b.velocity.y) * n.y + (a.velocity.z - b.velocity.z) * n.z;
+    if (closing > 0 && aGives + bGives > 0) {
+        const impulse = (1 + BALL_TO_BALL_BOUNCINESS) * closing;
+        a.velocity.x -= n.x * impulse * aShare;
+        a.velocity.y -= n.y * impulse * aShare;
+        a.velocity.z -= n.z * impulse * aShare;
+        b.velocity.x += n.x * impulse * bShare;
+        b.velocity.y += n.y * impulse * bShare;
+        b.velocity.z += n.z * impulse * bShare;
+    }
+    return true;
+}
+
+// --- Shot Helpers ---
+
+/**
+ * Picks the launch angle of an automatic (assisted) shot.
+ * @param {number} distance - Horizontal distance from the ball to the basket.
+ * @returns {number} About 72 degrees (a high arc) for close shots, about 62 degrees (a moderate arc) for distance shots, in radians.
+ */
+export function getAutoLaunchAngle(distance) {
+    return distance < CLOSE_SHOT_DISTANCE ? Math.PI / 2.5 : Math.PI / 2.9;
+}
+
+/**
+ * Converts a shot power into a launch speed.
+ * @param {number} power - Shot power, from 0 to 1.
+ * @returns {number} The launch speed.
+ */
+export function powerToLaunchSpeed(power) {
+    return MIN_LAUNCH_SPEED + power * (MAX_LAUNCH_SPEED - MIN_LAUNCH_SPEED);
+}
+
+/**
+ * Converts a launch speed back into the shot power that gives it.
+ * @param {number} speed - The launch speed.
+ * @returns {number} The shot power, outside 0-1 if the speed is out of reach.
+ */
+export function launchSpeedToPower(speed) {
+    return (speed - MIN_LAUNCH_SPEED) / (MAX_LAUNCH_SPEED - MIN_LAUNCH_SPEED);
+}
+
+/**
+ * Finds the point of a hoop collider closest to the ball center.
+ * @param {Object} collider - A torus, box or cylinder shape from getHoopColliders.
+ * @param {{x: number, y: number, z: number}} position - The ball center.
+ * @returns {{point: {x: number, y: number, z: number}, surfaceRadius: number}} The closest point,
+ *          and the thickness the ball must keep from it.
+ */
+function closestPointOnCollider(collider, position) {
+    const { center } = collider;
+
+    if (collider.type === 'torus') {
+        // Closest point on the rim's center circle (the torus ring), lying flat in the XZ plane
+        const rx = position.x - center.x;
+        const rz = position.z - center.z;
+        const horizontalDist = Math.sqrt(rx*rx + rz*rz);
+        const ringX = horizontalDist > 1e-6 ? (rx / horizontalDist) * collider.radius : collider.radius;
+        const ringZ = horizontalDist > 1e-6 ? (rz / horizontalDist) * collider.radius : 0;
+        return { point: { x: center.x + ringX, y: center.y, z: center.z + ringZ }, surfaceRadius: collider.tube };
+    }
+
+    if (collider.type === 'box') {
+        // Clamp the ball center into the axis-aligned box
+        const { size } = collider;
+        return {
+            point: {
+                x: clamp(position.x, center.x - size.x / 2, center.x + size.x / 2),
+                y: clamp(position.y, center.y - size.y / 2, center.y + size.y / 2),
+                z: clamp(position.z, center.z - size.z / 2, center.z + size.z / 2)
+            },
+            surfaceRadius: 0
+        };
+    }
+
+    // Vertical cylinder: clamp height, then pull the horizontal offset onto the radius
+    const rx = position.x - center.x;
+    const rz = position.z - center.z;
+    const horizontalDist = Math.sqrt(rx*rx + rz*rz);
+    const scale = horizontalDist > collider.radius ? collider.radius / horizontalDist : 1;
+    return {
+        point: {
+            x: center.x + rx * scale,
+            y: clamp(position.y, center.y - collider.height / 2, center.y + collider.height / 2),
+            z: center.z + rz * scale
+        },
+        surfaceRadius: 0
+    };
+}
+
+/**
+ * Turns a horizontal direction counter-clockwise, seen from above.
+ * @param {{x: number, z: number}} direction - The direction on the court.
+ * @param {number} angle - How far to turn, in radians.
+ * @returns {{x: number, z: number}} The turned direction, with the same length.
+ */
+function turnLeft(direction, angle) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return {
+        x: direction.x * cos + direction.z * sin,
+        z: direction.z * cos - direction.x * sin
+    };
+}
+
+/**
+ * Moves a value toward a target by at most a step.
+ */
+function approach(value, target, maxStep) {
+    return value < target ? Math.min(target, value + maxStep) : Math.max(target, value - maxStep);
+}
+
+/**
+ * How much the player's speed along one axis changes in a step: speeding up while the input
+ * pushes the way they're going (or from a standstill), slowing down otherwise.
+ */
+function getRampRate(speed, input) {
+    const speedingUp = input !== 0 && Math.sign(speed) !== -Math.sign(input);
+    return (speedingUp ? DRIBBLE_ACCELERATION : DRIBBLE_DECELERATION) * DT;
+}
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
@@ -0,0 +1,221 @@
+/**
+ * NetPhysics.js
+ *
+ * A cloth-like simulation of the basketball nets. Each net is a grid of knots
+ * joined by the strings drawn on screen (see `getNetLayout` in Hoops.js), moved
+ * with Verlet integration and held together by distance constraints. The top ring
+ * of knots is pinned to the rim.
+ *
+ * The ball pushes the knots out of its way as it passes through, so a swish snaps
+ * the net, which then swings back and settles. In return the net takes a little
+ * speed off the ball. Like BallPhysics, it has no dependency on THREE or the DOM.
+ */
+
+import { getNetLayout } from '../components/Hoops.js';
+import { getHoopSides } from '../court/CourtSpec.js';
+import { PHYSICS_TIME_STEP } from './BallPhysics.js';
+
+// --- Constants ---
+const DT = PHYSICS_TIME_STEP; // Nets step together with the ball
+const GRAVITY = -9.8; // m/s^2
+const DAMPING = 0.96; // Fraction of its velocity a knot keeps per step, so the net settles
+const CONSTRAINT_ITERATIONS = 8; // More iterations make the strings stiffer
+const KNOT_RADIUS = 0.01; // How close the ball surface gets to a knot before pushing it
+const KNOT_MASS_RATIO = 0.008; // Knot mass relative to the ball, decides how much the net slows it
+const MAX_BALL_SLOWDOWN = 0.1; // Largest fraction of its speed the ball can lose to the net per step
+const SETTLE_STEPS = 120; // Steps simulated on creation, so the net starts at rest
+
+export class NetPhysics {
+    /**
+     * @param {number} side - The side of the court of the basket the net hangs from (-1 for left, 1 for right).
+     */
+    constructor(side) {
+        const layout = getNetLayout(side);
+        const { segments, rows } = layout;
+        this.side = side;
+        this.center = layout.center;
+        this.segments = segments;
+        this.rows = rows;
+        this.bottomY = layout.ringYs[rows];
+
+        // Knot positions as flat x, y, z triples, index = row * segments + i
+        const knotCount = (rows + 1) * segments;
+        this.positions = new Float32Array(knotCount * 3);
+        for (let row = 0; row <= rows; row++) {
+            for (let i = 0; i < segments; i++) {
+                const angle = (i / segments) * Math.PI * 2;
+                this._setKnot(this.positions, row * segments + i,
+                    this.center.x + Math.cos(angle) * layout.ringRadii[row],
+                    layout.ringYs[row],
+                    this.center.z + Math.sin(angle) * layout.ringRadii[row]);
+            }
+        }
+        this.pinned = this.positions.slice(0, segments * 3); // The rim ring
+        this.previousPositions = this.positions.slice(); // Verlet state: the knots start at rest
+
+        // Strings between knots: down each column, around the inner rings and diagonally
+        const edges = [];
+        for (let row = 0; row < rows; row++) {
+            for (let i = 0; i < segments; i++) {
+                const next = (i + 1) % segments;
+                edges.push(row * segments + i, (row + 1) * segments + i);
+                edges.push(row * segments + i, (row + 1) * segments + next);
+                if (row > 0) {
+                    edges.push(row * segments + i, row * segments + next);
+                }
+            }
+        }
+        this.edges = new Uint16Array(edges);
+        this.restLengths = new Float32Array(edges.length / 2);
+        for (let e = 0; e < this.restLengths.length; e++) {
+            this.restLengths[e] = this._distance(this.edges[e * 2], this.edges[e * 2 + 1]);
+        }
+
+        for (let i = 0; i < SETTLE_STEPS; i++) {
+            this.step();
+        }
+    }
+
+    /**
+     * Advances the net by one fixed time step.
+     */
+    step() {
+        const { positions, previousPositions } = this;
+        for (let k = this.segments * 3; k < positions.length; k += 3) {
+            for (let axis = 0; axis < 3; axis++) {
+                const current = positions[k + axis];
+                const velocity = (current - previousPositions[k + axis]) * DAMPING;
+                previousPositions[k + axis] = current;
+                positions[k + axis] = current + velocity + (axis === 1 ? GRAVITY * DT * DT : 0);
+            }
+        }
+        for (let k = 0; k < this.segments * 3; k++) {
+            previousPositions[k] = positions[k];
+        }
+
+        for (let iteration = 0; iteration < CONSTRAINT_ITERATIONS; iteration++) {
+            this._satisfyConstraints();
+        }
+    }
+
+    /**
+     * Pushes the knots out of the ball, and slows the ball for the knots it has to move.
+     * Each knot pushed takes its share of the ball's momentum along the push.
+     * @param {{position: Object, velocity: Object}} ball - The ball state, its velocity is changed in place.
+     * @param {number} radius - The ball radius.
+     * @returns {number} How many knots the ball pushed.
+     */
+    collideBall(ball, radius) {
+        const { position, velocity } = ball;
+        const reach = radius + KNOT_RADIUS;
+        const horizontalDist = Math.hypot(position.x - this.center.x, position.z - this.center.z);
+        if (horizontalDist > reach + this._maxRadius() ||
+            position.y - reach > this.center.y || position.y + reach < this.bottomY) {
+            return 0;
+        }
+
+        const { positions, previousPositions } = this;
+        const speed = Math.hypot(velocity.x, velocity.y, velocity.z);
+        const impulse = { x: 0, y: 0, z: 0 };
+        let pushed = 0;
+        for (let k = this.segments * 3; k < positions.length; k += 3) {
+            const dx = positions[k] - position.x;
+            const dy = positions[k + 1] - position.y;
+            const dz = positions[k + 2] - position.z;
+            const dist = Math.sqrt(dx*dx + dy*dy + dz*dz);
+            if (dist >= reach || dist < 1e-6) {
+                continue;
+            }
+
+            const nx = dx / dist;
+            const ny = dy / dist;
+            const nz = dz / dist;
+
+            // The ball gives the knot its speed along the push, and loses the knot's share of momentum
+            const knotSpeed = ((positions[k] - previousPositions[k]) * nx +
+                (positions[k + 1] - previousPositions[k + 1]) * ny +
+                (positions[k + 2] - previousPositions[k + 2]) * nz) / DT;
+            const ballSpeed = velocity.x * nx + velocity.y * ny + velocity.z * nz;
+            const relativeSpeed = ballSpeed - knotSpeed;
+            if (relativeSpeed > 0) {
+                impulse.x -= nx * relativeSpeed * KNOT_MASS_RATIO;
+                impulse.y -= ny * relativeSpeed * KNOT_MASS_RATIO;
+                impulse.z -= nz * relativeSpeed * KNOT_MASS_RATIO;
+            }
+
+            // Move the knot onto the ball surface
+            const penetration = reach - dist;
+            positions[k] += nx * penetration;
+            positions[k + 1] += ny * penetration;
+            positions[k + 2] += nz * penetration;
+            pushed++;
+        }
+
+        // The net only slows the ball down, and never stops it
+        const impulseSize = Math.hypot(impulse.x, impulse.y, impulse.z);
+        const scale = impulseSize > MAX_BALL_SLOWDOWN * speed ? (MAX_BALL_SLOWDOWN * speed) / impulseSize : 1;
+        velocity.x += impulse.x * scale;
+        velocity.y += impulse.y * scale;
+        velocity.z += impulse.z * scale;
+        return pushed;
+    }
+
+    /**
+     * Moves the knots of every string back toward its rest length, then re-pins the rim ring.
+     * Strings only pull, they don't push, so the net can bunch up like cloth.
+     * @private
+     */
+    _satisfyConstraints() {
+        const { positions, edges, restLengths } = this;
+        for (let e = 0; e < restLengths.length; e++) {
+            const a = edges[e * 2] * 3;
+            const b = edges[e * 2 + 1] * 3;
+            const dx = positions[b] - positions[a];
+            const dy = positions[b + 1] - positions[a + 1];
+            const dz = positions[b + 2] - positions[a + 2];
+            const dist = Math.sqrt(dx*dx + dy*dy + dz*dz);
+            if (dist <= restLengths[e] || dist < 1e-9) {
+                continue;
+            }
+
+            // Pinned knots don't move, the free end takes the whole correction
+            const aPinned = a < this.segments * 3;
+            const share = (dist - restLengths[e]) / dist * (aPinned ? 1 : 0.5);
+            if (!aPinned) {
+                positions[a] += dx * share;
+                positions[a + 1] += dy * share;
+                positions[a + 2] += dz * share;
+            }
+            positions[b] -= dx * share;
+            positions[b + 1] -= dy * share;
+            positions[b + 2] -= dz * share;
+        }
+        positions.set(this.pinned);
+    }
+
+    /** @private */
+    _maxRadius() {
+        return Math.hypot(this.positions[0] - this.center.x, this.positions[2] - this.center.z);
+    }
+
+    /** @private */
+    _distance(a, b) {
+        const p = this.positions;
+        return Math.hypot(p[b * 3] - p[a * 3], p[b * 3 + 1] - p[a * 3 + 1], p[b * 3 + 2] - p[a * 3 + 2]);
+    }
+
+    /** @private */
+    _setKnot(array, index, x, y, z) {
+        array[index * 3] = x;
+        array[index * 3 + 1] = y;
+        array[index * 3 + 2] = z;
+    }
+}
+
+/**
+ * Creates a net for every basket of the active court.
+ * @returns {NetPhysics[]} One net per hoop side.
+ */
+export function createNets() {
+    return getHoopSides().map(side => new NetPhysics(side));
+}
@@ -0,0 +1,51 @@
+/**
+ * ShotMeter.js
+ *
+ * The timing of the hold-to-charge shot meter: while the shoot key is held, the power
+ * rises to full and falls back again, over and over. Released inside the green window
+ * around the sweet spot, the shot is timed well and gets the sweet spot's power.
+ *
+ * Like BallPhysics, it has no dependency on THREE or the DOM.
+ */
+
+export const MIN_POWER = 0;
+export const MAX_POWER = 1;
+export const CHARGE_TIME = 1.2; // Seconds to charge from empty to full power, after which the meter falls back
+export const RELEASE_WINDOW = 0.04; // Half-width of the green timing window around the sweet spot, in power
+
+/**
+ * Gets the power on the meter after charging for a while.
+ * @param {number} chargeTime - Seconds the meter has been charging.
+ * @returns {number} The power, rising to MAX_POWER in CHARGE_TIME and falling back as long again.
+ */
+export function getMeterPower(chargeTime) {
+    const phase = (chargeTime / CHARGE_TIME) % 2;
+    return MIN_POWER + (phase <= 1 ? phase : 2 - phase) * (MAX_POWER - MIN_POWER);
+}
+
+/**
+ * Gets the green timing window: the powers close enough to the sweet spot, within the meter.
+ * @param {number|null} sweetSpotPower - Where the sweet spot sits on the power bar, null without one.
+ * @returns {{start: number, end: number}|null} The window, or null without a sweet spot on the power bar.
+ */
+export function getReleaseWindow(sweetSpotPower) {
+    if (sweetSpotPower === null || !(sweetSpotPower >= MIN_POWER && sweetSpotPower <= MAX_POWER)) {
+        return null;
+    }
+    return {
+        start: Math.max(MIN_POWER, sweetSpotPower - RELEASE_WINDOW),
+        end: Math.min(MAX_POWER, sweetSpotPower + RELEASE_WINDOW)
+    };
+}
+
+/**
+ * Gets the power a shot released from the meter leaves with: the sweet spot's, when
+ * released inside the green window, otherwise the power on the meter.
+ * @param {number} power - The power on the meter at release.
+ * @param {number|null} sweetSpotPower - Where the sweet spot sits on the power bar, null without one.
+ * @returns {number} The power of the shot.
+ */
+export function getReleasedPower(power, sweetSpotPower) {
+    const releaseWindow = getReleaseWindow(sweetSpotPower);
+    return releaseWindow && power >= releaseWindow.start && power <= releaseWindow.end ? sweetSpotPower : power;
+}
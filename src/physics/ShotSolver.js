@@ -0,0 +1,111 @@
+/**
+ * ShotSolver.js
+ *
+ * Inverse ballistics for the "perfect shot": the launch speed that sends the ball
+ * from where it is released through the center of the nearest rim (or another
+ * target, like a spot on the backboard), at a chosen launch angle.
+ *
+ * The solver flies the ball with the same integration as BallPhysics, air drag and
+ * the Magnus force included when they are enabled, so the solved speed is exact for
+ * the simulation rather than for a textbook parabola. Collisions are left out: the
+ * solved path is the one that comes down through the target. The speed is found
+ * by bisection, since a faster launch at the same angle always carries further.
+ *
+ * It drives the aim assist levels and the sweet spot on the power bar, and gives the
+ * tests an oracle for which power should score from any spot.
+ */
+
+import { BallPhysics, getNearestHoopSide, getAutoLaunchAngle, MAX_LAUNCH_SPEED } from './BallPhysics.js';
+import { getBasketCenter } from '../court/CourtSpec.js';
+
+const MAX_SOLVED_SPEED = MAX_LAUNCH_SPEED * 2; // Fastest launch the solver considers
+const SOLVER_ITERATIONS = 40; // Each bisection step halves the speed range
+const MAX_FLIGHT_STEPS = 600; // 10 seconds of simulation time
+
+/**
+ * Solves for the launch speed that sends the ball through the center of the nearest rim (or another one).
+ * @param {{x: number, y: number, z: number}} from - Ball center at release.
+ * @param {Object} [options]
+ * @param {{x: number, y: number, z: number}} [options.target] - Point the ball comes down through, instead of the rim center.
+ * @param {number} [options.launchAngle] - Launch angle above the horizontal, in radians. Defaults to the automatic angle for the distance.
+ * @param {boolean} [options.aerodynamics=false] - Include air drag and the Magnus force.
+ * @param {number} [options.backspin=0] - Backspin given at release, in revolutions per second.
+ * @param {number} [options.targetSide] - Side of the basket shot at, the nearest one by default.
+ * @returns {number|null} The launch speed, or null if the rim can't be reached at this angle.
+ */
+export function solveLaunchSpeed(from, { target, launchAngle, aerodynamics = false, backspin = 0, targetSide = getNearestHoopSide(from.x) } = {}) {
+    const rim = getBasketCenter(targetSide);
+    const goal = target || rim;
+    const distance = Math.hypot(goal.x - from.x, goal.z - from.z);
+    const aim = {
+        targetSide,
+        yaw: getYawToward(from, rim, goal),
+        launchAngle: launchAngle !== undefined ? launchAngle : getAutoLaunchAngle(distance)
+    };
+    const fallsShort = speed => getReachAtHeight(from, goal.y, { ...aim, launchSpeed: speed }, aerodynamics, backspin) < distance;
+
+    let low = 0;
+    let high = MAX_SOLVED_SPEED;
+    if (fallsShort(high)) {
+        return null;
+    }
+    for (let i = 0; i < SOLVER_ITERATIONS; i++) {
+        const speed = (low + high) / 2;
+        if (fallsShort(speed)) {
+            low = speed;
+        } else {
+            high = speed;
+        }
+    }
+    return (low + high) / 2;
+}
+
+/**
+ * Flies a shot, ignoring collisions, and measures how far it got when it came back down
+ * through a height.
+ * @param {{x: number, y: number, z: number}} from - Ball center at release.
+ * @param {number} height - Height of the target.
+ * @param {{yaw: number, launchAngle: number, launchSpeed: number}} aim - The shot, as for `shootTowardNearestHoop`.
+ * @param {boolean} aerodynamics - Include air drag and the Magnus force.
+ * @param {number} backspin - In revolutions per second.
+ * @returns {number} Horizontal distance from the release spot, or -Infinity if the ball never got up to the height.
+ */
+function getReachAtHeight(from, height, aim, aerodynamics, backspin) {
+    const ball = new BallPhysics({ aerodynamics });
+    ball.position = { ...from };
+    ball.shootTowardNearestHoop(0, backspin, aim);
+
+    let above = ball.position.y > height;
+    for (let i = 0; i < MAX_FLIGHT_STEPS; i++) {
+        const before = { ...ball.position };
+        ball._integrateFlight();
+        const after = ball.position;
+
+        if (after.y > height) {
+            above = true;
+        } else if (above) {
+            // Coming down through the height: interpolate where, between the two steps
+            const t = (before.y - height) / (before.y - after.y);
+            const x = before.x + (after.x - before.x) * t;
+            const z = before.z + (after.z - before.z) * t;
+            return Math.hypot(x - from.x, z - from.z);
+        } else if (ball.velocity.y <= 0) {
+            return -Infinity; // Peaked below the target
+        }
+    }
+    return -Infinity;
+}
+
+/**
+ * The yaw that turns a shot from the rim toward another target.
+ * @param {{x: number, z: number}} from - Release spot.
+ * @param {{x: number, z: number}} rim - Rim center, where an unturned shot goes.
+ * @param {{x: number, z: number}} target - Where the shot should go.
+ * @returns {number} The yaw in radians, positive to the left (counter-clockwise seen from above).
+ */
+export function getYawToward(from, rim, target) {
+    // Angle of a direction counter-clockwise from +X, seen from above (where +Z points down)
+    const heading = point => Math.atan2(-(point.z - from.z), point.x - from.x);
+    const yaw = heading(target) - heading(rim);
+    return Math.atan2(Math.sin(yaw), Math.cos(yaw)); // Wrapped to -PI..PI
+}
@@ -0,0 +1,14 @@
+/**
+ * ShotStyleNames.js
+ *
+ * The names shown for the shot styles of ShotStyles.js, by the key recorded with every shot.
+ * It has no dependencies, so the scoreboard can name the styles without the physics.
+ */
+
+export const SHOT_STYLE_NAMES = {
+    jumper: 'Jumper',
+    layup: 'Layup',
+    dunk: 'Dunk',
+    hook: 'Hook Shot',
+    freeThrow: 'Free Throw'
+};
@@ -0,0 +1,211 @@
+/**
+ * ShotStyles.js
+ *
+ * The ways a shot can be taken: a jumper, a layup off the glass, a dunk, a hook shot
+ * and a free throw. Each style has its own release point, arc and success model, and
+ * `planShot` turns the spot the player shoots from into the shot BallPhysics takes, so
+ * the shot and its predicted arc are the same.
+ *
+ * The success model is how much of the player's power error the style forgives. Every
+ * shot is solved from its release point to its target (see ShotSolver.js), and the launch
+ * speed is pulled from the player's toward the solved one by the style's `forgiveness`:
+ * a dunk always goes down, a layup forgives most of a bad touch, a jumper none of it.
+ * The soft touch of a layup or a dunk is slower than the power bar goes, so for these the
+ * error is measured from the sweet spot on the bar, at its near end.
+ *
+ * Like BallPhysics, it has no dependency on THREE or the DOM.
+ */
+
+import { BALL_RADIUS, HAND_HEIGHT, getNearestHoopSide, powerToLaunchSpeed, launchSpeedToPower } from './BallPhysics.js';
+import { getYawToward } from './ShotSolver.js';
+import { SHOT_STYLE_NAMES } from './ShotStyleNames.js';
+import {
+    getCourtSpec,
+    getBasketCenter,
+    getBackboardX,
+    getCourtSurfaceY,
+    getFreeThrowLineX
+} from '../court/CourtSpec.js';
+
+const DEGREES = Math.PI / 180;
+const LAYUP_RANGE = 2.5; // Farthest from the basket (horizontally) a layup can be taken
+const HOOK_RANGE = 5;
+const UNDER_THE_RIM = 0.75; // Closer than this to the basket, only a dunk fits under the rim
+const BANK_HEIGHT = 0.45; // How far above the rim a layup hits the glass
+const MAX_BANK_ANGLE = 65 * DEGREES; // Farthest off the front of the basket a layup can bank in from
+const DUNK_REACH = 0.2; // How far short of the rim center (horizontally) the ball is released on a dunk
+
+// Shot styles, by the key recorded with every shot.
+//   name          - shown to the player, see ShotStyleNames.js
+//   releaseHeight - height of the ball center at release, above the floor (null: where the ball is)
+//   launchAngle   - launch angle in radians (null: the automatic or manual angle of a jumper)
+//   forgiveness   - fraction of the player's power error taken out of the shot, from 0 to 1
+//   minDistance, maxDistance - how close to and far from the basket (horizontally) the style can be
+//                  taken, a null maxDistance is the restricted area of the court spec
+//   bank          - aims off the glass instead of at the rim
+//   aboveRim      - released this high over the front of the rim instead (a dunk)
+//   lockedToLine  - released from the middle of the free-throw line, wherever the ball is
+export const SHOT_STYLES = {
+    jumper: { name: SHOT_STYLE_NAMES.jumper, releaseHeight: null, launchAngle: null, forgiveness: 0, minDistance: 0, maxDistance: Infinity },
+    layup: { name: SHOT_STYLE_NAMES.layup, releaseHeight: 2.6, launchAngle: 55 * DEGREES, forgiveness: 0.75, minDistance: UNDER_THE_RIM, maxDistance: LAYUP_RANGE, bank: true },
+    dunk: { name: SHOT_STYLE_NAMES.dunk, releaseHeight: null, launchAngle: -45 * DEGREES, forgiveness: 1, minDistance: 0, maxDistance: null, aboveRim: 0.3 },
+    hook: { name: SHOT_STYLE_NAMES.hook, releaseHeight: 2.5, launchAngle: 58 * DEGREES, forgiveness: 0.4, minDistance: UNDER_THE_RIM, maxDistance: HOOK_RANGE },
+    freeThrow: { name: SHOT_STYLE_NAMES.freeThrow, releaseHeight: null, launchAngle: null, forgiveness: 0, minDistance: 0, maxDistance: Infinity, lockedToLine: true }
+};
+
+// Styles the player picks from, 'auto' picks by where the ball is
+export const SHOT_STYLE_CHOICES = ['auto', 'jumper', 'layup', 'dunk', 'hook', 'freeThrow'];
+
+/**
+ * Picks the shot style for a spot on the court: a dunk inside the restricted area, a layup
+ * close to the basket, a hook shot from beside it and a jumper from anywhere else. A free
+ * throw is never picked: it has to be chosen, a shot from the free-throw line in live play
+ * is a jumper.
+ * @param {{x: number, z: number}} position - Where the ball is.
+ * @param {number} [side] - Side of the basket shot at, the nearest one by default.
+ * @returns {string} The key of the style in SHOT_STYLES.
+ */
+export function pickShotStyle(position, side = getNearestHoopSide(position.x)) {
+    if (isShotStyleAvailable('dunk', position, side)) {
+        return 'dunk';
+    }
+    if (isShotStyleAvailable('layup', position, side)) {
+        return 'layup';
+    }
+    if (isShotStyleAvailable('hook', position, side) && getDistanceToRim(position, side) <= LAYUP_RANGE) {
+        return 'hook'; // In layup range, but too far to the side of the basket to bank one in
+    }
+    return 'jumper';
+}
+
+/**
+ * Checks whether a style can be taken from a spot (dunks only inside the restricted area,
+ * layups and hooks only close to the basket, but not under it, and layups only from in front of the glass).
+ * @param {string} styleName - The key of the style in SHOT_STYLES.
+ * @param {{x: number, z: number}} position - Where the ball is.
+ * @param {number} [side] - Side of the basket shot at, the nearest one by default.
+ * @returns {boolean} True if the style can be taken.
+ */
+export function isShotStyleAvailable(styleName, position, side = getNearestHoopSide(position.x)) {
+    const rim = getBasketCenter(side);
+    const distance = getDistanceToRim(position, side);
+    const style = SHOT_STYLES[styleName];
+    const angleOffFront = Math.atan2(Math.abs(rim.z - position.z), side * (rim.x - position.x));
+    if (style.bank && angleOffFront > MAX_BANK_ANGLE) {
+        return false; // Too far to the side of the basket (or behind it) to bank off the glass
+    }
+    return distance >= style.minDistance && distance <= getMaxDistance(style);
+}
+
+/**
+ * Lays out a shot in a style from a spot: where it is released, what it aims at and its arc.
+ * A style that can't be taken from the spot falls back to the one picked for it.
+ * @param {string} requestedStyle - A key of SHOT_STYLES, or 'auto'.
+ * @param {{x: number, y: number, z: number}} position - Where the ball is.
+ * @param {Object} [aim] - The jumper's manual aim (yaw and launch angle), see `shootTowardNearestHoop`.
+ * @param {number} [side] - Side of the basket shot at, the nearest one by default.
+ * @returns {{shotStyle: string, forgiveness: number, target: Object, aim: Object}} The style taken, its
+ *          forgiveness, the point the shot should come down through, and the aim for `shootTowardNearestHoop`
+ *          (without a launch speed, see `getStyledLaunchSpeed`).
+ */
+export function planShot(requestedStyle, position, aim = {}, side = getNearestHoopSide(position.x)) {
+    const shotStyle = requestedStyle !== 'auto' && isShotStyleAvailable(requestedStyle, position, side) ?
+        requestedStyle : pickShotStyle(position, side);
+    const style = SHOT_STYLES[shotStyle];
+    const rim = getBasketCenter(side);
+    const release = getReleasePoint(style, position, rim, side);
+    const target = style.bank ? getBankSpot(release, rim, side) : rim;
+
+    const plannedAim = { release, shotStyle, targetSide: side };
+    if (style.launchAngle !== null) {
+        plannedAim.launchAngle = style.launchAngle;
+        plannedAim.yaw = getYawToward(release, rim, target);
+    } else {
+        plannedAim.launchAngle = aim.launchAngle;
+        plannedAim.yaw = aim.yaw;
+    }
+    return { shotStyle, forgiveness: style.forgiveness, target, aim: plannedAim };
+}
+
+/**
+ * Where a plan's sweet spot sits on the power bar. A jumper's may be off the bar, the other
+ * styles' are kept on it.
+ * @param {{forgiveness: number}} plan - From `planShot`.
+ * @param {number|null} solvedSpeed - The perfect launch speed for the plan, null if out of reach.
+ * @returns {number|null} The power of the sweet spot, null if out of reach.
+ */
+export function getSweetSpotPower(plan, solvedSpeed) {
+    if (solvedSpeed === null) {
+        return null;
+    }
+    const power = launchSpeedToPower(solvedSpeed);
+    return plan.forgiveness > 0 ? Math.min(1, Math.max(0, power)) : power;
+}
+
+/**
+ * Applies a style's success model: the player's launch speed, pulled toward the solved one.
+ * @param {{forgiveness: number}} plan - From `planShot`.
+ * @param {number} power - The player's shot power, from 0 to 1.
+ * @param {number|null} solvedSpeed - The perfect launch speed for the plan, null if out of reach.
+ * @returns {number} The launch speed of the shot.
+ */
+export function getStyledLaunchSpeed(plan, power, solvedSpeed) {
+    if (solvedSpeed === null || plan.forgiveness === 0) {
+        return powerToLaunchSpeed(power);
+    }
+    const error = powerToLaunchSpeed(power) - powerToLaunchSpeed(getSweetSpotPower(plan, solvedSpeed));
+    return solvedSpeed + error * (1 - plan.forgiveness);
+}
+
+/** @private */
+function getDistanceToRim(position, side) {
+    const rim = getBasketCenter(side);
+    return Math.hypot(rim.x - position.x, rim.z - position.z);
+}
+
+/** @private */
+function getMaxDistance(style) {
+    return style.maxDistance !== null ? style.maxDistance : getCourtSpec().key.restrictedAreaRadius;
+}
+
+/**
+ * Where the ball leaves the hands: on the free-throw line for a free throw, at the height of
+ * any other gathered shot, over the front of the rim for a dunk, and at the style's release
+ * height anywhere else.
+ * @private
+ */
+function getReleasePoint(style, position, rim, side) {
+    if (style.lockedToLine) {
+        return { x: getFreeThrowLineX(side), y: getCourtSurfaceY() + HAND_HEIGHT, z: 0 };
+    }
+    if (style.aboveRim !== undefined) {
+        const dx = position.x - rim.x;
+        const dz = position.z - rim.z;
+        const distance = Math.hypot(dx, dz);
+        // Straight under the rim there is no front of the rim, dunk from the court side
+        const toShooter = distance > 1e-6 ? { x: dx / distance, z: dz / distance } : { x: -side, z: 0 };
+        return {
+            x: rim.x + toShooter.x * DUNK_REACH,
+            y: rim.y + style.aboveRim,
+            z: rim.z + toShooter.z * DUNK_REACH
+        };
+    }
+    const y = style.releaseHeight !== null ? getCourtSurfaceY() + style.releaseHeight : position.y;
+    return { x: position.x, y, z: position.z };
+}
+
+/**
+ * The spot on the glass a layup banks off: where the line to the rim's mirror image
+ * behind the backboard crosses it, so the ball comes off the glass toward the rim.
+ * @private
+ */
+function getBankSpot(release, rim, side) {
+    const glassX = getBackboardX(side) - side * BALL_RADIUS; // Ball center when it touches the glass
+    const mirrorX = 2 * glassX - rim.x;
+    const t = (glassX - release.x) / (mirrorX - release.x);
+    return {
+        x: glassX,
+        y: rim.y + BANK_HEIGHT,
+        z: release.z + (rim.z - release.z) * t
+    };
+}
@@ -0,0 +1,77 @@
+/**
+ * GameClock.js
+ *
+ * Shows the period, the game clock and the shot clock of a GameFlow, and sounds the buzzer.
+ * Like Score.js, it only draws; the clocks themselves run in GameFlow.
+ */
+
+// What to do next in each state of the game
+const STATE_PROMPTS = {
+    pregame: 'Press N to tip off',
+    live: '',
+    timeout: 'TIMEOUT - Y to resume',
+    break: 'End of period - N to continue',
+    final: 'FINAL - N for a new game'
+};
+
+let audioContext = null;
+let shownClock = null; // Last drawn display, so the page is only touched when it changes
+
+/**
+ * Formats seconds of game clock as M:SS, or as S.T (tenths) in the last minute.
+ * @param {number} seconds - Seconds left on the clock
+ * @returns {string} The formatted clock
+ */
+export function formatGameClock(seconds) {
+    if (seconds < 60) {
+        return (Math.floor(seconds * 10) / 10).toFixed(1);
+    }
+    const wholeSeconds = Math.ceil(seconds);
+    const minutes = Math.floor(wholeSeconds / 60);
+    return `${minutes}:${String(wholeSeconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Updates the game clock display in the HTML from the state of the game.
+ * @param {GameFlow} game - The game to show
+ */
+export function updateGameClockDisplay(game) {
+    const clockElement = document.getElementById('game-clock-display');
+    if (clockElement) {
+        const shotClock = Math.ceil(game.shotClock);
+        const prompt = game.state === 'timeout'
+            ? `${STATE_PROMPTS.timeout} (${Math.ceil(game.timeoutClock)})`
+            : STATE_PROMPTS[game.state];
+        const html = `
+            <span class="game-period">${game.getPeriodName()}</span>
+            <span class="game-clock">${formatGameClock(game.gameClock)}</span>
+            <span class="shot-clock${shotClock <= 5 ? ' expiring' : ''}">${shotClock}</span>
+            <span class="game-timeouts">Timeouts: ${game.timeoutsLeft}</span>
+            ${prompt ? `<div class="game-prompt">${prompt}</div>` : ''}
+        `;
+        if (html !== shownClock) {
+            clockElement.innerHTML = html;
+            shownClock = html;
+        }
+    }
+}
+
+/**
+ * Sounds the buzzer, for a clock running out.
+ */
+export function playBuzzer() {
+    try {
+        audioContext = audioContext || new AudioContext();
+        const oscillator = audioContext.createOscillator();
+        const gain = audioContext.createGain();
+        oscillator.type = 'sawtooth';
+        oscillator.frequency.value = 220;
+        gain.gain.value = 0.15;
+        oscillator.connect(gain);
+        gain.connect(audioContext.destination);
+        oscillator.start();
+        oscillator.stop(audioContext.currentTime + 0.8);
+    } catch (error) {
+        console.error('Error playing buzzer:', error);
+    }
+}
@@ -0,0 +1,140 @@
+/**
+ * PracticeDisplay.js
+ *
+ * Shows the progress of a practice session, drill or H-O-R-S-E game in place of the game clock.
+ * Like Score.js, it only draws; the sessions keep their own counters.
+ * Player names come from the URL, so they are escaped before they go into the page.
+ */
+
+import { formatPercentage, getPlayers, getShotHistory } from './Score.js';
+import { SHOT_STYLE_NAMES } from '../physics/ShotStyleNames.js';
+import { HORSE_WORD } from '../game/Horse.js';
+import { escapeHtml } from '../utils/Html.js';
+
+// How the last turn of H-O-R-S-E is told, by its result
+const HORSE_TURN_TEXT = {
+    challenge: 'made it, match it!',
+    lostLead: 'missed, the lead changes',
+    matched: 'matched it',
+    letter: 'missed, and gets a letter'
+};
+
+let shownPractice = null; // Last drawn display, so the page is only touched when it changes
+
+/**
+ * Formats the time of a drill run as M:SS.T.
+ * @param {number} seconds - Seconds of the run
+ * @returns {string} The formatted time
+ */
+export function formatRunTime(seconds) {
+    const tenths = Math.floor(seconds * 10);
+    const minutes = Math.floor(tenths / 600);
+    const secondsText = ((tenths % 600) / 10).toFixed(1).padStart(4, '0');
+    return `${minutes}:${secondsText}`;
+}
+
+/**
+ * Updates the practice display in the HTML for a free-throw session.
+ * @param {FreeThrowPractice} practice - The session to show
+ */
+export function updateFreeThrowDisplay(practice) {
+    const shot = practice.tripAttempts - practice.attemptsLeft + 1;
+    showPractice(`
+        <div class="practice-title">FREE THROW PRACTICE</div>
+        <div class="practice-row">
+            <span>Trip ${practice.trip}: Shot ${shot} of ${practice.tripAttempts}</span>
+            <span>Points: ${practice.getPoints()}</span>
+        </div>
+        <div class="practice-row">
+            <span>Made: ${practice.made}/${practice.attempts} (${formatPercentage(practice.made, practice.attempts)}%)</span>
+            <span>Streak: ${practice.streak} (Best ${practice.bestStreak})</span>
+        </div>
+    `);
+}
+
+/**
+ * Updates the practice display in the HTML for a drill run. Call every frame, for the timer.
+ * @param {DrillRun} run - The run to show
+ */
+export function updateDrillDisplay(run) {
+    const spotCount = run.drill.spots.length;
+    const best = run.getBestTime();
+    const progress = run.complete
+        ? `<span class="practice-done">Done in ${formatRunTime(run.time)}${run.newBest ? ' - NEW BEST!' : ''}</span><span>T to run again</span>`
+        : `<span>Spot ${run.spotIndex + 1} of ${spotCount}: ${run.getCurrentSpot().name}</span>`;
+    showPractice(`
+        <div class="practice-title">${run.name.toUpperCase()}</div>
+        <div class="practice-row">${progress}</div>
+        <div class="practice-row">
+            <span>Time: ${formatRunTime(run.time)}</span>
+            <span>Best: ${best === null ? '-' : formatRunTime(best)}</span>
+            <span>Made: ${run.made}/${run.attempts}</span>
+        </div>
+    `);
+}
+
+/**
+ * Updates the practice display in the HTML for a game of H-O-R-S-E: both players' letters,
+ * whose turn it is and what they have to do, and the last turn.
+ * @param {HorseGame} horse - The game to show
+ */
+export function updateHorseDisplay(horse) {
+    const players = getPlayers();
+    const names = horse.names.map(escapeHtml);
+    const playerRows = names.map((name, player) => {
+        const letters = HORSE_WORD.split('').map((letter, i) => i < horse.letters[player] ? letter : '_').join(' ');
+        const { made = 0, attempts = 0 } = players[player] || {};
+        const turn = horse.winner === null && horse.shooter === player ? ' class="practice-turn"' : '';
+        return `<div class="practice-row"><span${turn}>${name}</span><span>${letters}</span><span>${made}/${attempts}</span></div>`;
+    }).join('');
+
+    const shooter = names[horse.shooter];
+    let status;
+    if (horse.winner !== null) {
+        status = `<span class="practice-done">${names[horse.winner]} wins!</span><span>T for a rematch</span>`;
+    } else if (horse.challenge) {
+        const { shotType, shotStyle } = horse.challenge;
+        status = `<span>${shooter}: match the ${shotType} ${SHOT_STYLE_NAMES[shotStyle].toLowerCase()}</span>`;
+    } else {
+        status = `<span>${shooter}: set a challenge from anywhere</span>`;
+    }
+
+    const history = getShotHistory();
+    const lastTurn = history[history.length - 1];
+    const lastTurnRow = lastTurn
+        ? `<div class="practice-row"><span>Last: ${escapeHtml(lastTurn.name)} ${HORSE_TURN_TEXT[lastTurn.result]}</span></div>`
+        : '';
+
+    showPractice(`
+        <div class="practice-title">${horse.name}</div>
+        ${playerRows}
+        <div class="practice-row">${status}</div>
+        ${lastTurnRow}
+    `);
+}
+
+/**
+ * Hides the practice display, outside practice.
+ */
+export function hidePracticeDisplay() {
+    const practiceElement = document.getElementById('practice-display');
+    if (practiceElement) {
+        practiceElement.style.display = 'none';
+    }
+}
+
+/**
+ * Shows the practice display with new contents, if they changed.
+ * @param {string} html - The contents to show
+ */
+function showPractice(html) {
+    const practiceElement = document.getElementById('practice-display');
+    if (!practiceElement) {
+        return;
+    }
+    practiceElement.style.display = 'block';
+    if (html !== shownPractice) {
+        practiceElement.innerHTML = html;
+        shownPractice = html;
+    }
+}
@@ -1,14 +1,65 @@
 /**
  * Score.js
  *
- * This module manages the state of the game's score.
- * It is kept simple and does not handle key presses directly, only data management.
+ * This module manages the state of the game's score, and of the named players of the
+ * turn-based modes. It is kept simple and does not handle key presses directly, only data management.
  */
 
+import { SHOT_STYLE_NAMES } from '../physics/ShotStyleNames.js';
+
 let homeScore = 0;
 let awayScore = 0;
 let totalShotsAttempted = 0;
 let totalShotsMade = 0;
+let bankShotsMade = 0;
+
+// How missed shots ended up, see the 'miss' event of BallPhysics
+let missResults = createEmptyMissResults();
+
+// Points awarded for a make, by where the shot was released from
+export const SHOT_POINTS = { '2PT': 2, '3PT': 3, 'FT': 1 };
+
+// Attempts and makes for each shot type
+let shotStats = createEmptyShotStats();
+
+// Attempts and makes for each shot style (jumper, layup, dunk, hook shot, free throw)
+let shotStyleStats = createEmptyShotStyleStats();
+
+// Named players of the turn-based modes, with their own attempts and makes
+let players = [];
+
+// One entry per turn of the named players, in order
+let shotHistory = [];
+
+function createEmptyShotStats() {
+    return {
+        '2PT': { attempts: 0, made: 0 },
+        '3PT': { attempts: 0, made: 0 },
+        'FT': { attempts: 0, made: 0 }
+    };
+}
+
+function createEmptyMissResults() {
+    return { rebound: 0, outOfBounds: 0, backcourt: 0, loose: 0 };
+}
+
+function createEmptyShotStyleStats() {
+    const stats = {};
+    Object.keys(SHOT_STYLE_NAMES).forEach(shotStyle => {
+        stats[shotStyle] = { attempts: 0, made: 0 };
+    });
+    return stats;
+}
+
+/**
+ * Formats a make/attempt ratio as a percentage string.
+ * @param {number} made - Shots made
+ * @param {number} attempts - Shots attempted
+ * @returns {string} Percentage with one decimal, '0.0' when there were no attempts
+ */
+export function formatPercentage(made, attempts) {
+    return attempts > 0 ? ((made / attempts) * 100).toFixed(1) : '0.0';
+}
 
 /**
  * Updates the score display in the HTML based on the current score variables.
@@ -17,7 +68,14 @@ export function updateScoreDisplay() {
     const scoreElement = document.getElementById('score-display');
     if (scoreElement) {
         const totalScore = homeScore + awayScore;
-        const shootingPercentage = totalShotsAttempted > 0 ? ((totalShotsMade / totalShotsAttempted) * 100).toFixed(1) : '0.0';
+        const shootingPercentage = formatPercentage(totalShotsMade, totalShotsAttempted);
+        const shotTypeStats = Object.entries(shotStats).map(([shotType, { attempts, made }]) =>
+            `<span>${shotType}: ${made}/${attempts} (${formatPercentage(made, attempts)}%)</span>`).join('');
+        // Only the styles that have been tried, so the row stays short
+        const shotStyleRow = Object.entries(shotStyleStats)
+            .filter(([, { attempts }]) => attempts > 0)
+            .map(([shotStyle, { attempts, made }]) => `<span>${SHOT_STYLE_NAMES[shotStyle]}: ${made}/${attempts}</span>`)
+            .join('');
         scoreElement.innerHTML = `
             <div class="score-main">SCORE: ${homeScore} - ${awayScore}</div>
             <div class="score-stats">
@@ -29,6 +87,15 @@ export function updateScoreDisplay() {
                     <span>Shots Made: ${totalShotsMade}</span>
                     <span>Shooting %: ${shootingPercentage}%</span>
                 </div>
+                <div class="stat-row">
+                    ${shotTypeStats}
+                </div>
+                ${shotStyleRow ? `<div class="stat-row">${shotStyleRow}</div>` : ''}
+                <div class="stat-row">
+                    <span>Bank Shots: ${bankShotsMade}</span>
+                    <span>Rebounds: ${missResults.rebound}</span>
+                    <span>Out of Bounds: ${missResults.outOfBounds}</span>
+                </div>
             </div>
         `;
     }
@@ -36,24 +103,50 @@ export function updateScoreDisplay() {
 
 /**
  * Increments the shot attempt counter.
+ * @param {string} shotType - '2PT', '3PT' or 'FT'
+ * @param {string} shotStyle - How the shot was taken, a key of SHOT_STYLE_NAMES
  */
-export function addShotAttempt() {
+export function addShotAttempt(shotType = '2PT', shotStyle = 'jumper') {
     totalShotsAttempted++;
+    shotStats[shotType].attempts++;
+    shotStyleStats[shotStyle].attempts++;
     updateScoreDisplay();
 }
 
 /**
  * Increments the shot made counter.
+ * @param {Object} shot - How the shot was made
+ * @param {string} shot.makeType - 'bank' if the shot went in off the backboard, otherwise 'direct'
+ * @param {string} shot.shotType - '2PT', '3PT' or 'FT'
+ * @param {string} shot.shotStyle - How the shot was taken, a key of SHOT_STYLE_NAMES
  */
-export function addShotMade() {
+export function addShotMade({ makeType = 'direct', shotType = '2PT', shotStyle = 'jumper' } = {}) {
     totalShotsMade++;
+    shotStats[shotType].made++;
+    shotStyleStats[shotStyle].made++;
+    if (makeType === 'bank') {
+        bankShotsMade++;
+    }
     updateScoreDisplay();
 }
 
+/**
+ * Counts how a missed shot ended up, and shows it.
+ * @param {Object} miss - The missed shot
+ * @param {string} miss.result - 'rebound', 'outOfBounds', 'backcourt' or 'loose'
+ * @param {boolean} miss.airBall - True if the shot touched neither the rim nor the backboard
+ */
+export function addShotMissed(miss = {}) {
+    const { result = 'loose' } = miss;
+    missResults[result]++;
+    updateScoreDisplay();
+    showShotMissed(miss);
+}
+
 /**
  * Shows a shot feedback message.
  * @param {string} message - The message to display
- * @param {string} type - 'success' or 'miss'
+ * @param {string} type - 'success', 'miss' or 'rebound'
  */
 export function showShotFeedback(message, type = 'success') {
     // Remove any existing feedback message
@@ -84,36 +177,57 @@ export function showShotFeedback(message, type = 'success') {
 
 /**
  * Shows a successful shot message.
+ * @param {Object} shot - How the shot was made, see `addShotMade`
  */
-export function showShotMade() {
-    showShotFeedback('SHOT MADE!', 'success');
+export function showShotMade({ makeType = 'direct', shotType = '2PT', shotStyle = 'jumper' } = {}) {
+    const messages = {
+        '2PT': makeType === 'bank' ? 'BANK SHOT!' : 'SHOT MADE!',
+        '3PT': makeType === 'bank' ? 'BANK THREE!' : 'THREE POINTER!',
+        'FT': 'FREE THROW MADE!'
+    };
+    // Layups, dunks and hook shots are called by their style instead
+    const styleMessages = {
+        layup: makeType === 'bank' ? 'LAYUP OFF THE GLASS!' : 'LAYUP!',
+        dunk: 'SLAM DUNK!',
+        hook: 'HOOK SHOT!'
+    };
+    showShotFeedback(styleMessages[shotStyle] || messages[shotType], 'success');
 }
 
 /**
- * Shows a missed shot message.
+ * Shows a missed shot message for how the ball ended up.
+ * @param {Object} miss - The missed shot, see `addShotMissed`
  */
-export function showShotMissed() {
-    showShotFeedback('MISSED SHOT', 'miss');
+export function showShotMissed({ result = 'loose', airBall = false } = {}) {
+    const messages = {
+        rebound: 'REBOUND!',
+        outOfBounds: airBall ? 'AIR BALL - OUT OF BOUNDS' : 'OUT OF BOUNDS',
+        backcourt: 'BACKCOURT',
+        loose: airBall ? 'AIR BALL' : 'MISSED SHOT'
+    };
+    showShotFeedback(messages[result], result === 'rebound' ? 'rebound' : 'miss');
 }
 
 /**
  * Increments the home team score by the specified number of points.
  * @param {number} points - Number of points to add (default: 2)
+ * @param {Object} shot - How the shot was made, see `addShotMade`
  */
-export function addHomeScore(points = 2) {
+export function addHomeScore(points = 2, shot = {}) {
     homeScore += points;
-    addShotMade(); // Increment shots made
-    showShotMade(); // Show success message
+    addShotMade(shot); // Increment shots made
+    showShotMade(shot); // Show success message
 }
 
 /**
  * Increments the away team score by the specified number of points.
  * @param {number} points - Number of points to add (default: 2)
+ * @param {Object} shot - How the shot was made, see `addShotMade`
  */
-export function addAwayScore(points = 2) {
+export function addAwayScore(points = 2, shot = {}) {
     awayScore += points;
-    addShotMade(); // Increment shots made
-    showShotMade(); // Show success message
+    addShotMade(shot); // Increment shots made
+    showShotMade(shot); // Show success message
 }
 
 /**
@@ -124,6 +238,10 @@ export function resetScore() {
     awayScore = 0;
     totalShotsAttempted = 0;
     totalShotsMade = 0;
+    bankShotsMade = 0;
+    shotStats = createEmptyShotStats();
+    shotStyleStats = createEmptyShotStyleStats();
+    missResults = createEmptyMissResults();
     updateScoreDisplay();
 }
 
@@ -159,11 +277,98 @@ export function getTotalShotsMade() {
     return totalShotsMade;
 }
 
+/**
+ * Gets the number of shots made off the backboard.
+ * @returns {number} Total bank shots made
+ */
+export function getBankShotsMade() {
+    return bankShotsMade;
+}
+
+/**
+ * Gets the attempts and makes for one shot type.
+ * @param {string} shotType - '2PT', '3PT' or 'FT'
+ * @returns {{attempts: number, made: number}} A copy of the counters
+ */
+export function getShotStats(shotType) {
+    return { ...shotStats[shotType] };
+}
+
+/**
+ * Gets the attempts and makes for one shot style.
+ * @param {string} shotStyle - A key of SHOT_STYLE_NAMES, e.g. 'layup' or 'dunk'
+ * @returns {{attempts: number, made: number}} A copy of the counters
+ */
+export function getShotStyleStats(shotStyle) {
+    return { ...shotStyleStats[shotStyle] };
+}
+
+/**
+ * Gets how many missed shots ended up one way.
+ * @param {string} result - 'rebound', 'outOfBounds', 'backcourt' or 'loose'
+ * @returns {number} Missed shots with that result
+ */
+export function getMissResultCount(result) {
+    return missResults[result];
+}
+
+/**
+ * Names the players of a turn-based mode, and clears their totals and the shot history.
+ * @param {string[]} names - The players' names, in turn order
+ */
+export function setPlayers(names) {
+    players = names.map(name => ({ name, attempts: 0, made: 0 }));
+    shotHistory = [];
+}
+
+/**
+ * Gets the named players and their totals.
+ * @returns {{name: string, attempts: number, made: number}[]} Copies of the players, in turn order
+ */
+export function getPlayers() {
+    return players.map(player => ({ ...player }));
+}
+
+/**
+ * Records a turn of a named player: the shot, and what it meant in the mode.
+ * @param {Object} turn - The turn
+ * @param {number} turn.player - Index of the player who shot
+ * @param {boolean} turn.made - True if the shot went in
+ * @param {string} turn.shotType - '2PT', '3PT' or 'FT'
+ * @param {string} turn.shotStyle - How the shot was taken, a key of SHOT_STYLE_NAMES
+ * @param {{x: number, z: number}} turn.spot - Where on the floor the shot was taken from
+ * @param {string} turn.result - What the shot meant in the mode, e.g. 'challenge' or 'letter' in H-O-R-S-E
+ */
+export function addPlayerTurn({ player, made, shotType, shotStyle, spot, result }) {
+    players[player].attempts++;
+    if (made) {
+        players[player].made++;
+    }
+    shotHistory.push({
+        turn: shotHistory.length + 1,
+        player,
+        name: players[player].name,
+        made,
+        shotType,
+        shotStyle,
+        spot: { ...spot },
+        result
+    });
+}
+
+/**
+ * Gets the turns of the named players.
+ * @returns {Object[]} Copies of the turns in order, see `addPlayerTurn`
+ */
+export function getShotHistory() {
+    return shotHistory.map(turn => ({ ...turn, spot: { ...turn.spot } }));
+}
+
 /**
  * Gets the shot accuracy percentage.
  * @returns {string} Accuracy percentage as a string
  */
 export function getShotAccuracy() {
-    return totalShotsAttempted > 0 ? ((totalShotsMade / totalShotsAttempted) * 100).toFixed(1) : '0.0';
+    return formatPercentage(totalShotsMade, totalShotsAttempted);
 }
 
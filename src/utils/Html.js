@@ -0,0 +1,23 @@
+/**
+ * Html.js
+ *
+ * Helpers for building the markup of the on-screen displays.
+ */
+
+const HTML_ENTITIES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+/**
+ * Escapes text for use in markup, e.g. a player name from the URL, so it is shown as typed
+ * instead of being read as HTML.
+ * @param {*} text - The text to escape, converted to a string.
+ * @returns {string} The text with its markup characters replaced by entities.
+ */
+export function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, character => HTML_ENTITIES[character]);
+}
@@ -0,0 +1,54 @@
+/**
+ * InputRouter.js
+ *
+ * Shares the keyboard between everything that reads it. The router installs the only
+ * keydown and keyup listeners on the page, and each part of the app binds its own keys
+ * to named actions, so two players can play on one keyboard with different keys, and
+ * a part's keys can be swapped (or dropped) while the app runs.
+ *
+ * A key map lists the keys of each action, as `KeyboardEvent.key` values, e.g.
+ * `{ shoot: [' '], rebound: ['g', 'G'] }`.
+ */
+
+export class InputRouter {
+    /**
+     * @param {EventTarget} [target=document] - Where the keyboard events come from.
+     */
+    constructor(target = document) {
+        this.bindings = [];
+        target.addEventListener('keydown', (e) => this._dispatch(e, 'onActionDown'));
+        target.addEventListener('keyup', (e) => this._dispatch(e, 'onActionUp'));
+    }
+
+    /**
+     * Binds a key map to a handler, which is told whenever one of the actions' keys is
+     * pressed or released.
+     * @param {Object<string, string[]>} keyMap - The keys of each action.
+     * @param {Object} handler
+     * @param {function(string, KeyboardEvent): void} [handler.onActionDown] - Receives the action of a pressed key, and the event.
+     * @param {function(string, KeyboardEvent): void} [handler.onActionUp] - Receives the action of a released key, and the event.
+     * @returns {function(): void} Unbinds the key map again.
+     */
+    bind(keyMap, handler) {
+        const binding = { keyMap, handler };
+        this.bindings.push(binding);
+        return () => {
+            this.bindings = this.bindings.filter(other => other !== binding);
+        };
+    }
+
+    /** @private */
+    _dispatch(e, method) {
+        // A handler may bind or unbind keys as it runs, e.g. when switching game modes
+        [...this.bindings].forEach(({ keyMap, handler }) => {
+            if (!handler[method]) {
+                return;
+            }
+            Object.keys(keyMap).forEach(action => {
+                if (keyMap[action].includes(e.key)) {
+                    handler[method](action, e);
+                }
+            });
+        });
+    }
+}
@@ -0,0 +1,26 @@
+/**
+ * MergedLines.js
+ *
+ * Builds many polylines as a single LineSegments object, so markings made of
+ * dozens of separate lines cost one draw call instead of one each.
+ */
+
+/**
+ * Merges polylines into one LineSegments object.
+ * @param {THREE.Vector3[][]} polylines - Each polyline is a list of connected points.
+ * @param {THREE.Material} material - The material shared by every line.
+ * @returns {THREE.LineSegments} The merged lines.
+ */
+export function createMergedLines(polylines, material) {
+    const positions = [];
+    polylines.forEach(points => {
+        for (let i = 0; i < points.length - 1; i++) {
+            positions.push(points[i].x, points[i].y, points[i].z);
+            positions.push(points[i + 1].x, points[i + 1].y, points[i + 1].z);
+        }
+    });
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    return new THREE.LineSegments(geometry, material);
+}
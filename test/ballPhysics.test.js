@@ -0,0 +1,723 @@
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    BallPhysics,
+    BALL_RADIUS,
+    MIN_LAUNCH_SPEED,
+    getNearestHoopSide,
+    getTeamHoopSide,
+    getTeamStartSpot,
+    collideBalls,
+    powerToLaunchSpeed
+} from '../src/physics/BallPhysics.js';
+import {
+    COURT_STANDARDS,
+    setCourtSpec,
+    parseCourtSpec,
+    getBasketCenter,
+    getCourtSurfaceY,
+    getFreeThrowLineX
+} from '../src/court/CourtSpec.js';
+
+afterEach(() => {
+    setCourtSpec(COURT_STANDARDS.fiba);
+});
+
+describe('shootTowardNearestHoop', () => {
+    test('uses the moderate arc and power-scaled speed for distance shots', () => {
+        const physics = new BallPhysics();
+        physics.placeAt(5, 0);
+        physics.shootTowardNearestHoop(0.5);
+
+        const speed = powerToLaunchSpeed(0.5);
+        const angle = Math.PI / 2.9;
+        assert.ok(Math.abs(physics.velocity.x - speed * Math.cos(angle)) < 1e-9);
+        assert.ok(Math.abs(physics.velocity.y - speed * Math.sin(angle)) < 1e-9);
+        assert.equal(physics.velocity.z, 0);
+        assert.equal(physics.shooting, true);
+    });
+
+    test('uses the high arc for shots closer than 5m', () => {
+        const physics = new BallPhysics();
+        const basket = getBasketCenter(1);
+        physics.placeAt(basket.x - 3, 0);
+        physics.shootTowardNearestHoop(0);
+
+        const horizontal = Math.hypot(physics.velocity.x, physics.velocity.z);
+        assert.ok(Math.abs(Math.atan2(physics.velocity.y, horizontal) - Math.PI / 2.5) < 1e-9);
+        assert.ok(Math.abs(Math.hypot(horizontal, physics.velocity.y) - MIN_LAUNCH_SPEED) < 1e-9);
+    });
+
+    test('aims the horizontal velocity at the basket center', () => {
+        const physics = new BallPhysics();
+        const basket = getBasketCenter(-1);
+        physics.placeAt(-6, 4);
+        physics.shootTowardNearestHoop(0.7);
+
+        const dx = basket.x - -6;
+        const dz = basket.z - 4;
+        assert.ok(Math.abs(physics.velocity.z / physics.velocity.x - dz / dx) < 1e-9);
+        assert.ok(physics.velocity.x < 0);
+    });
+
+    test('uses the manual launch angle instead of the automatic one', () => {
+        const physics = new BallPhysics();
+        physics.placeAt(5, 0);
+        physics.shootTowardNearestHoop(0.5, 0, { launchAngle: Math.PI / 4 });
+
+        assert.ok(Math.abs(physics.velocity.y - physics.velocity.x) < 1e-9);
+    });
+
+    test('turns the shot left of the basket with a positive yaw', () => {
+        const physics = new BallPhysics();
+        physics.placeAt(5, 0);
+        physics.shootTowardNearestHoop(0.5, 0, { yaw: Math.PI / 18 });
+
+        // Facing the right basket (+X), left is -Z
+        assert.ok(Math.abs(Math.atan2(-physics.velocity.z, physics.velocity.x) - Math.PI / 18) < 1e-9);
+    });
+
+    test('ignores a second shot while the ball is in the air', () => {
+        const physics = new BallPhysics();
+        physics.placeAt(5, 0);
+        physics.shootTowardNearestHoop(0.5);
+        const velocity = { ...physics.velocity };
+
+        assert.equal(physics.shootTowardNearestHoop(1), null);
+        assert.deepEqual(physics.velocity, velocity);
+    });
+
+    test('reports the shot with its release position and shot type', () => {
+        const physics = new BallPhysics();
+        const shots = [];
+        physics.on('shot', shot => shots.push(shot));
+        physics.placeAt(getFreeThrowLineX(1), 0);
+        physics.shootTowardNearestHoop(0.5, 0, { shotStyle: 'freeThrow' });
+
+        assert.equal(shots.length, 1);
+        assert.equal(shots[0].shotType, 'FT');
+        assert.equal(shots[0].targetSide, 1);
+        assert.equal(shots[0].releasePosition.x, getFreeThrowLineX(1));
+    });
+
+    test('scores a shot in live play from the free-throw line as a two-pointer', () => {
+        const physics = new BallPhysics();
+        physics.placeAt(getFreeThrowLineX(1), 0);
+        assert.equal(physics.shootTowardNearestHoop(0.5).shotType, '2PT');
+    });
+});
+
+describe('nearest hoop selection', () => {
+    test('picks the basket on the same half of the court', () => {
+        assert.equal(getNearestHoopSide(3), 1);
+        assert.equal(getNearestHoopSide(-0.5), -1);
+        assert.equal(getNearestHoopSide(20), 1);
+    });
+
+    test('always picks the single basket of a half court', () => {
+        setCourtSpec(parseCourtSpec({ length: 8, width: 7, halfCourt: true, key: { freeThrowDistance: 4.6 } }));
+        assert.equal(getNearestHoopSide(-3), 1);
+    });
+});
+
+describe('owned balls', () => {
+    test('attack their team\'s basket from anywhere on the court', () => {
+        assert.equal(getTeamHoopSide('home'), -1);
+        assert.equal(getTeamHoopSide('away'), 1);
+
+        const physics = new BallPhysics({ owner: 'home' });
+        const shots = [];
+        physics.on('shot', shot => shots.push(shot));
+        physics.placeAt(getFreeThrowLineX(1), 0); // Next to the away team's basket
+        physics.shootTowardNearestHoop(0.5);
+
+        assert.equal(shots[0].targetSide, -1);
+        assert.equal(shots[0].owner, 'home');
+        assert.ok(physics.velocity.x < 0);
+    });
+
+    test('share the single basket of a half court', () => {
+        setCourtSpec(parseCourtSpec({ length: 8, width: 7, halfCourt: true, key: { freeThrowDistance: 4.6 } }));
+        assert.equal(getTeamHoopSide('home'), 1);
+        assert.equal(new BallPhysics({ owner: 'home' }).getTargetSide(-3), 1);
+    });
+
+    test('are taken back to their team\'s start spot out of a shot in flight', () => {
+        const physics = new BallPhysics({ owner: 'away' });
+        const start = getTeamStartSpot('away');
+        assert.deepEqual(start, { x: getFreeThrowLineX(1), z: 1 });
+        assert.deepEqual(getTeamStartSpot('home'), { x: getFreeThrowLineX(-1), z: -1 });
+        assert.deepEqual(physics.position, { x: start.x, y: getCourtSurfaceY() + BALL_RADIUS, z: start.z });
+
+        physics.placeAt(-3, 2);
+        physics.gather();
+        physics.shootTowardNearestHoop(0.5);
+        for (let i = 0; i < 20; i++) {
+            physics.step();
+        }
+        assert.equal(physics.shooting, true);
+
+        physics.reset();
+        assert.equal(physics.shooting, false);
+        assert.deepEqual(physics.position, { x: start.x, y: getCourtSurfaceY() + BALL_RADIUS, z: start.z });
+        assert.deepEqual(physics.velocity, { x: 0, y: 0, z: 0 });
+    });
+
+    test('score for their owner, whichever basket they go in', () => {
+        const physics = new BallPhysics({ owner: 'home' });
+        const baskets = [];
+        physics.on('basket', basket => baskets.push(basket));
+        const basket = getBasketCenter(1);
+        physics.shooting = true;
+        physics.position = { x: basket.x, y: basket.y - BALL_RADIUS / 2, z: 0 };
+        physics.velocity = { x: 0, y: -2, z: 0 };
+        physics._checkBasket();
+
+        assert.equal(baskets[0].team, 'home');
+        assert.equal(baskets[0].owner, 'home');
+    });
+});
+
+describe('collideBalls', () => {
+    test('leaves balls apart from each other alone', () => {
+        const a = new BallPhysics();
+        const b = new BallPhysics();
+        a.placeAt(0, 0);
+        b.placeAt(1, 0);
+        assert.equal(collideBalls(a, b), false);
+    });
+
+    test('swaps the closing speed of two equal balls in flight, less the bounciness lost', () => {
+        const a = new BallPhysics();
+        const b = new BallPhysics();
+        [a, b].forEach(ball => {
+            ball.shooting = true;
+        });
+        a.position = { x: 0, y: 3, z: 0 };
+        b.position = { x: 0.2, y: 3, z: 0 };
+        a.velocity = { x: 4, y: 0, z: 0 };
+        b.velocity = { x: 0, y: 0, z: 0 };
+
+        assert.equal(collideBalls(a, b), true);
+        assert.ok(Math.abs(a.velocity.x + b.velocity.x - 4) < 1e-9); // Momentum is kept
+        assert.ok(b.velocity.x > a.velocity.x);
+        assert.ok(Math.abs(b.position.x - a.position.x - 2 * BALL_RADIUS) < 1e-9);
+    });
+
+    test('bounces a shot off a ball held on the court, which stays put', () => {
+        const held = new BallPhysics();
+        const shot = new BallPhysics();
+        held.placeAt(0, 0);
+        const heldPosition = { ...held.position };
+        shot.shooting = true;
+        shot.position = { x: -0.2, y: held.position.y, z: 0 };
+        shot.velocity = { x: 5, y: 0, z: 0 };
+
+        collideBalls(shot, held);
+
+        assert.ok(shot.velocity.x < 0);
+        assert.deepEqual(held.position, heldPosition);
+        assert.deepEqual(held.velocity, { x: 0, y: 0, z: 0 });
+    });
+
+    test('pushes two held balls apart, without setting them moving', () => {
+        const a = new BallPhysics();
+        const b = new BallPhysics();
+        a.placeAt(0, 0);
+        b.placeAt(0, 0);
+
+        collideBalls(a, b);
+
+        assert.ok(Math.abs(b.position.x - a.position.x - 2 * BALL_RADIUS) < 1e-9);
+        assert.deepEqual(a.velocity, { x: 0, y: 0, z: 0 });
+    });
+});
+
+describe('_checkBasket', () => {
+    /**
+     * Puts the ball just below the rim plane, centered, falling.
+     */
+    function dropThroughRim(physics, side = 1) {
+        const basket = getBasketCenter(side);
+        physics.shooting = true;
+        physics.position = { x: basket.x, y: basket.y - BALL_RADIUS / 2, z: 0 };
+        physics.velocity = { x: 0, y: -2, z: 0 };
+    }
+
+    test('scores a ball falling through the rim for the opposite team', () => {
+        const physics = new BallPhysics();
+        const baskets = [];
+        physics.on('basket', basket => baskets.push(basket));
+
+        dropThroughRim(physics, 1);
+        physics._checkBasket();
+
+        assert.equal(baskets.length, 1);
+        assert.equal(baskets[0].team, 'away');
+        assert.equal(baskets[0].side, 1);
+    });
+
+    test('counts a basket only once while the ball is still in the rim', () => {
+        const physics = new BallPhysics();
+        const baskets = [];
+        physics.on('basket', basket => baskets.push(basket));
+
+        dropThroughRim(physics);
+        physics._checkBasket();
+        dropThroughRim(physics);
+        physics.simulationTime += 5; // Past the cooldown, but the ball never left the rim
+        physics._checkBasket();
+
+        assert.equal(baskets.length, 1);
+    });
+
+    test('ignores baskets during the cooldown', () => {
+        const physics = new BallPhysics();
+        const baskets = [];
+        physics.on('basket', basket => baskets.push(basket));
+
+        dropThroughRim(physics);
+        physics._checkBasket();
+        physics.basketDetected = false; // As if the ball had left the rim
+
+        physics.simulationTime += 1;
+        dropThroughRim(physics);
+        physics._checkBasket();
+        assert.equal(baskets.length, 1);
+
+        physics.simulationTime += 1.5;
+        dropThroughRim(physics);
+        physics._checkBasket();
+        assert.equal(baskets.length, 2);
+    });
+
+    test('lets a new shot score within the cooldown of the last basket', () => {
+        const physics = new BallPhysics();
+        const baskets = [];
+        physics.on('basket', basket => baskets.push(basket));
+
+        dropThroughRim(physics);
+        physics._checkBasket();
+        physics.basketDetected = false;
+
+        physics.simulationTime += 1;
+        physics.placeAt(0, 0);
+        physics.shootTowardNearestHoop(0.5, 0);
+        dropThroughRim(physics);
+        physics._checkBasket();
+        assert.equal(baskets.length, 2);
+    });
+
+    test('does not score a ball rising through the rim', () => {
+        const physics = new BallPhysics();
+        const baskets = [];
+        physics.on('basket', basket => baskets.push(basket));
+
+        dropThroughRim(physics);
+        physics.velocity.y = 2;
+        physics._checkBasket();
+
+        assert.equal(baskets.length, 0);
+    });
+});
+
+describe('ground bounces', () => {
+    test('lose height on every bounce until the ball stops', () => {
+        const physics = new BallPhysics();
+        const misses = [];
+        physics.on('miss', miss => misses.push(miss));
+
+        physics.shooting = true;
+        physics.position = { x: 0, y: 3, z: 0 };
+        physics.velocity = { x: 0, y: 0, z: 0 };
+
+        const bounceSpeeds = [];
+        let steps = 0;
+        while (physics.shooting && steps < 60 * 20) {
+            const falling = physics.velocity.y < 0;
+            physics.step();
+            if (falling && physics.velocity.y > 0) {
+                bounceSpeeds.push(physics.velocity.y);
+            }
+            steps++;
+        }
+
+        assert.ok(bounceSpeeds.length >= 2, 'expected the ball to bounce a few times');
+        for (let i = 1; i < bounceSpeeds.length; i++) {
+            assert.ok(bounceSpeeds[i] < bounceSpeeds[i - 1], 'each bounce should be lower than the last');
+        }
+        assert.equal(physics.shooting, false);
+        assert.deepEqual(physics.velocity, { x: 0, y: 0, z: 0 });
+        assert.equal(physics.position.y, getCourtSurfaceY() + BALL_RADIUS);
+        assert.equal(misses.length, 1);
+    });
+
+    test('trade horizontal speed for spin', () => {
+        const physics = new BallPhysics();
+        physics.shooting = true;
+        physics.position = { x: 0, y: getCourtSurfaceY() + BALL_RADIUS, z: 0 };
+        physics.velocity = { x: 4, y: -5, z: 0 };
+
+        physics._checkGroundCollision();
+
+        assert.ok(Math.abs(physics.velocity.y - 5 * 0.7) < 1e-9);
+        assert.ok(physics.velocity.x < 4);
+        // A ball without spin leaves the floor rolling forward (topspin)
+        assert.ok(Math.abs(physics.velocity.x + BALL_RADIUS * physics.angularVelocity.z) < 1e-9);
+        assert.ok(physics.angularVelocity.z < 0);
+    });
+
+    /**
+     * Lands a ball moving forward with some spin about the Z axis, and lets it come to rest.
+     */
+    function landWithSpin(spinZ) {
+        const physics = new BallPhysics();
+        physics.shooting = true;
+        physics.position = { x: 0, y: 0.5, z: 0 };
+        physics.velocity = { x: 3, y: -3, z: 0 };
+        physics.angularVelocity = { x: 0, y: 0, z: spinZ };
+
+        let steps = 0;
+        while (physics.shooting && steps < 60 * 30) {
+            physics.step();
+            steps++;
+        }
+        assert.equal(physics.shooting, false);
+        return physics.position.x;
+    }
+
+    test('check up with backspin and skid forward with topspin', () => {
+        const noSpin = landWithSpin(0);
+        assert.ok(landWithSpin(20) < noSpin, 'backspin should stop the ball sooner');
+        assert.ok(landWithSpin(-20) > noSpin, 'topspin should carry the ball further');
+    });
+
+    test('end with the ball rolling to a stop', () => {
+        const physics = new BallPhysics();
+        physics.shooting = true;
+        physics.position = { x: 0, y: getCourtSurfaceY() + BALL_RADIUS, z: 0 };
+        physics.velocity = { x: 2, y: 0, z: 0 };
+        physics.angularVelocity = { x: 0, y: 0, z: -2 / BALL_RADIUS };
+
+        const speeds = [];
+        while (physics.shooting && speeds.length < 60 * 30) {
+            physics.step();
+            speeds.push(physics.velocity.x);
+            assert.ok(Math.abs(physics.velocity.x + BALL_RADIUS * physics.angularVelocity.z) < 1e-9,
+                'a ball rolling on the floor should not slip');
+        }
+
+        assert.equal(physics.shooting, false, 'the ball should come to rest');
+        assert.ok(speeds.length > 60, 'the ball should roll for a while instead of stopping at once');
+        for (let i = 1; i < speeds.length - 1; i++) {
+            assert.ok(speeds[i] < speeds[i - 1]);
+        }
+        assert.ok(physics.position.x > 0);
+    });
+});
+
+describe('spin and aerodynamics', () => {
+    /**
+     * Flies a shot from (5, 0) with no collisions in the way, until it falls back to release height.
+     */
+    function flyShot(physics, backspin) {
+        physics.placeAt(5, 0);
+        physics.shootTowardNearestHoop(0.3, backspin);
+        const releaseY = physics.position.y;
+        let apex = releaseY;
+        physics._checkHoopCollisions = () => {};
+        let steps = 0;
+        do {
+            physics.step();
+            apex = Math.max(apex, physics.position.y);
+            steps++;
+        } while (physics.position.y > releaseY && steps < 60 * 10);
+        assert.ok(physics.position.y <= releaseY, 'the shot should fall back to release height');
+        return { apex, distance: physics.position.x - 5 };
+    }
+
+    test('backspin turns about the horizontal axis across the shot', () => {
+        const physics = new BallPhysics();
+        physics.placeAt(5, 0);
+        physics.shootTowardNearestHoop(0.5, 2);
+
+        assert.ok(Math.abs(physics.angularVelocity.x) < 1e-9);
+        assert.equal(physics.angularVelocity.y, 0);
+        assert.ok(Math.abs(physics.angularVelocity.z - 2 * Math.PI * 2) < 1e-9);
+    });
+
+    test('air drag shortens the flight', () => {
+        const vacuum = flyShot(new BallPhysics(), 0);
+        const air = flyShot(new BallPhysics({ aerodynamics: true }), 0);
+
+        assert.ok(air.distance < vacuum.distance);
+        assert.ok(air.apex < vacuum.apex);
+    });
+
+    test('backspin only bends the flight with aerodynamics enabled', () => {
+        const withoutSpin = flyShot(new BallPhysics(), 0);
+        const withSpin = flyShot(new BallPhysics(), 4);
+        assert.equal(withSpin.distance, withoutSpin.distance);
+
+        const lifted = flyShot(new BallPhysics({ aerodynamics: true }), 4);
+        const plain = flyShot(new BallPhysics({ aerodynamics: true }), 0);
+        assert.ok(lifted.apex > plain.apex, 'the Magnus force of backspin should lift the ball');
+    });
+
+    test('the orientation follows the angular velocity', () => {
+        const physics = new BallPhysics();
+        physics.shooting = true;
+        physics.position = { x: 0, y: 3, z: 0 };
+        physics.angularVelocity = { x: 0, y: Math.PI, z: 0 };
+
+        physics.step();
+
+        const angle = 2 * Math.acos(physics.orientation.w);
+        assert.ok(Math.abs(angle - Math.PI * (1 / 60) * 0.8) < 1e-9);
+        assert.ok(physics.orientation.y > 0);
+        assert.deepEqual(physics.previousOrientation, { x: 0, y: 0, z: 0, w: 1 });
+    });
+
+    test('the ball rolls without slipping when moved on the court', () => {
+        const physics = new BallPhysics();
+        physics.step({ x: 1, z: 0 });
+
+        // Rolling toward +x spins about -z (angular velocity = up x velocity / r)
+        assert.equal(physics.angularVelocity.x, 0);
+        assert.ok(physics.angularVelocity.z < 0);
+    });
+
+    test('backspin takes forward speed out of a rim bounce', () => {
+        const hitFrontOfRim = backspin => {
+            const physics = new BallPhysics();
+            const basket = getBasketCenter(1);
+            physics.placeAt(5, 0);
+            physics.shootTowardNearestHoop(0.5, backspin);
+            // Drop onto the top of the near side of the rim, moving toward the basket
+            physics.position = { x: basket.x - 0.225, y: basket.y + BALL_RADIUS + 0.015, z: 0 };
+            physics.velocity = { x: 3, y: -3, z: 0 };
+            physics._checkHoopCollisions();
+            return physics.velocity;
+        };
+
+        const plain = hitFrontOfRim(0);
+        const backspun = hitFrontOfRim(4);
+        assert.ok(backspun.x < plain.x);
+        assert.ok(Math.hypot(backspun.x, backspun.y) < Math.hypot(plain.x, plain.y));
+    });
+});
+
+describe('dribbling', () => {
+    /**
+     * Moves the player for a number of steps, recording the ball's height and speed on the court.
+     */
+    function dribble(physics, steps, input = { x: 1, z: 0 }) {
+        const heights = [];
+        const speeds = [];
+        for (let i = 0; i < steps; i++) {
+            physics.step(input);
+            heights.push(physics.position.y);
+            speeds.push(Math.hypot(physics.velocity.x, physics.velocity.z));
+        }
+        return { heights, speeds };
+    }
+
+    test('bounces the ball between the floor and the hand while moving', () => {
+        const physics = new BallPhysics();
+        const { heights } = dribble(physics, 120);
+
+        const floor = getCourtSurfaceY() + BALL_RADIUS;
+        assert.ok(Math.abs(Math.min(...heights) - floor) < 0.01);
+        assert.ok(Math.max(...heights) > floor + 0.7);
+        assert.equal(physics.dribbling, true);
+    });
+
+    test('dribbles faster the faster the player moves', () => {
+        const physics = new BallPhysics();
+        dribble(physics, 1);
+        const startingPeriod = physics.dribblePeriod;
+        dribble(physics, 120);
+
+        assert.ok(physics.dribblePeriod < startingPeriod);
+    });
+
+    test('ramps the speed up and down instead of starting and stopping at once', () => {
+        const physics = new BallPhysics();
+        const { speeds } = dribble(physics, 60);
+
+        assert.ok(speeds[0] < speeds[10]);
+        assert.ok(speeds[10] < speeds[29]);
+        assert.equal(speeds[59], speeds[50], 'should level off at the top speed');
+
+        const stopping = dribble(physics, 30, { x: 0, z: 0 }).speeds;
+        assert.ok(stopping[0] > 0);
+        assert.equal(stopping[29], 0);
+    });
+
+    test('only allows a shot from the top of the dribble', () => {
+        const physics = new BallPhysics();
+        dribble(physics, 1); // Off the floor
+        assert.equal(physics.canShoot(), false);
+        assert.equal(physics.shootTowardNearestHoop(0.5), null);
+
+        let steps = 0;
+        while (!physics.canShoot() && steps < 120) {
+            physics.step({ x: 1, z: 0 });
+            steps++;
+        }
+        const shot = physics.shootTowardNearestHoop(0.5);
+        assert.ok(shot);
+        assert.ok(Math.abs(shot.releasePosition.y - (getCourtSurfaceY() + 0.9)) < 1e-9, 'should leave from the hand');
+        assert.equal(physics.dribbling, false);
+    });
+
+    test('catches the ball at the top of the dribble when gathered', () => {
+        const physics = new BallPhysics();
+        dribble(physics, 5);
+        physics.gather();
+        let steps = 0;
+        while (physics.dribbling && steps < 60) {
+            physics.step({ x: 1, z: 0 });
+            steps++;
+        }
+
+        assert.equal(physics.dribbling, false);
+        assert.equal(physics.canShoot(), true);
+        const held = physics.position.y;
+        dribble(physics, 10);
+        assert.equal(physics.position.y, held, 'a gathered ball is carried, not dribbled');
+    });
+
+    test('releases standing and dribbled shots from the same height', () => {
+        const standing = new BallPhysics();
+        standing.placeAt(5, 0);
+        const predicted = standing.getShotPosition(true);
+        standing.gather();
+        const standingShot = standing.shootTowardNearestHoop(0.5);
+
+        const dribbled = new BallPhysics();
+        dribbled.placeAt(5, 0);
+        let steps = 0;
+        do {
+            dribbled.step({ x: 1, z: 0 });
+            steps++;
+        } while (!dribbled.canShoot() && steps < 120);
+        const dribbledShot = dribbled.shootTowardNearestHoop(0.5);
+
+        assert.ok(dribbledShot);
+        assert.equal(standingShot.releasePosition.y, dribbledShot.releasePosition.y);
+        assert.equal(predicted.y, standingShot.releasePosition.y);
+    });
+
+    test('shoots a resting ball from where it lies', () => {
+        const physics = new BallPhysics();
+        physics.placeAt(5, 0);
+        const shot = physics.shootTowardNearestHoop(0.5);
+        assert.equal(shot.releasePosition.y, getCourtSurfaceY() + BALL_RADIUS);
+    });
+});
+
+describe('out of bounds and rebounds', () => {
+    /**
+     * Shoots from a spot and collects the misses the ball reports.
+     */
+    function shootFrom(x, z, power = 0.5) {
+        const physics = new BallPhysics();
+        const misses = [];
+        physics.on('miss', miss => misses.push(miss));
+        physics.placeAt(x, z);
+        physics.shootTowardNearestHoop(power);
+        return { physics, misses };
+    }
+
+    test('a ball touching the floor outside the lines is out of bounds', () => {
+        const { physics, misses } = shootFrom(5, 0);
+        physics.position = { x: 5, y: getCourtSurfaceY() + BALL_RADIUS + 0.005, z: 7.6 };
+        physics.velocity = { x: 0, y: -3, z: 0 };
+        physics.step();
+
+        assert.equal(misses.length, 1);
+        assert.equal(misses[0].result, 'outOfBounds');
+        assert.equal(misses[0].airBall, true);
+        assert.equal(physics.shooting, false);
+        assert.deepEqual(physics.position, { x: 5, y: getCourtSurfaceY() + BALL_RADIUS, z: 7 }, 'should come back inbounds');
+    });
+
+    test('a ball touching the supports of a basket is out of bounds', () => {
+        const { physics, misses } = shootFrom(12, 0, 1);
+        for (let i = 0; i < 600 && physics.shooting; i++) {
+            physics.step();
+        }
+
+        assert.equal(misses[0].result, 'outOfBounds');
+        assert.ok(misses[0].position.x > getBasketCenter(1).x, 'should go out behind the basket');
+    });
+
+    test('a rebound can only be caught once the ball is live and within reach', () => {
+        const { physics, misses } = shootFrom(5, 0);
+        assert.equal(physics.catchRebound(), false, 'not on the way up');
+
+        physics.position = { x: 10, y: 2, z: 1 };
+        physics.touchedRim = true;
+        assert.equal(physics.catchRebound(), true);
+        assert.equal(misses[0].result, 'rebound');
+        assert.equal(physics.shooting, false);
+        assert.equal(physics.gathered, true);
+        assert.equal(physics.position.x, 10);
+        assert.equal(physics.canShoot(), true);
+    });
+
+    test('a missed ball coming to rest reports where it stopped', () => {
+        const loose = shootFrom(5, 0);
+        loose.physics.position = { x: 8, y: getCourtSurfaceY() + BALL_RADIUS, z: 0 };
+        loose.physics.velocity = { x: 0, y: 0, z: 0 };
+        loose.physics.step();
+        assert.equal(loose.misses[0].result, 'loose');
+
+        const backcourt = shootFrom(5, 0);
+        backcourt.physics.position = { x: -3, y: getCourtSurfaceY() + BALL_RADIUS, z: 0 };
+        backcourt.physics.velocity = { x: 0, y: 0, z: 0 };
+        backcourt.physics.step();
+        assert.equal(backcourt.misses[0].result, 'backcourt');
+    });
+});
+
+describe('predictShot', () => {
+    test('follows the same path as the real shot', () => {
+        const predictor = new BallPhysics({ aerodynamics: true });
+        predictor.placeAt(5, 2);
+        const { points } = predictor.predictShot(0.5, 3);
+
+        const physics = new BallPhysics({ aerodynamics: true });
+        physics.placeAt(5, 2);
+        physics.shootTowardNearestHoop(0.5, 3);
+        for (let i = 1; i < points.length; i++) {
+            physics.step();
+            assert.deepEqual(points[i], physics.position);
+        }
+    });
+
+    test('leaves the ball where it is, without reporting a shot', () => {
+        const physics = new BallPhysics();
+        const shots = [];
+        physics.on('shot', shot => shots.push(shot));
+        physics.placeAt(getFreeThrowLineX(1), 0);
+        const before = { ...physics.position };
+
+        physics.predictShot(0.4);
+
+        assert.deepEqual(physics.position, before);
+        assert.equal(physics.shooting, false);
+        assert.equal(shots.length, 0);
+    });
+
+    test('ends when the ball goes in', () => {
+        const physics = new BallPhysics();
+        physics.placeAt(getFreeThrowLineX(1), 0);
+        const prediction = physics.predictShot(0.4);
+
+        assert.equal(prediction.made, true);
+        assert.ok(prediction.points.at(-1).y > getCourtSurfaceY() + 2);
+    });
+});
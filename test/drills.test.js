@@ -0,0 +1,155 @@
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DRILLS, getDrillSpotPosition } from '../src/game/Drills.js';
+import { DrillRun } from '../src/game/DrillRun.js';
+import {
+    COURT_STANDARDS,
+    setCourtSpec,
+    parseCourtSpec,
+    classifyShot,
+    isInBounds,
+    getFreeThrowLineX
+} from '../src/court/CourtSpec.js';
+
+afterEach(() => {
+    setCourtSpec(COURT_STANDARDS.fiba);
+});
+
+/**
+ * A Storage kept in memory, like `window.localStorage`.
+ */
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: key => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => items.set(key, String(value))
+    };
+}
+
+/**
+ * Runs a drill, one step of time before every shot, and a make from every spot.
+ */
+function completeRun(run, secondsPerShot) {
+    run.drill.spots.forEach(() => {
+        run.step(secondsPerShot);
+        run.recordAttempt(true);
+    });
+}
+
+describe('drill spots', () => {
+    for (const standard of Object.keys(COURT_STANDARDS)) {
+        test(`are on the ${COURT_STANDARDS[standard].name} court, beyond the arc for the three-point spots`, () => {
+            setCourtSpec(COURT_STANDARDS[standard]);
+            for (const drill of Object.values(DRILLS)) {
+                for (const spot of drill.spots) {
+                    const position = getDrillSpotPosition(spot);
+                    assert.ok(isInBounds(position), spot.name);
+                    const expected = spot.at === 'elbow' ? '2PT' : '3PT';
+                    assert.equal(classifyShot(position, 1), expected, spot.name);
+                }
+            }
+        });
+    }
+
+    test('put the elbows at the ends of the free-throw line, left and right of the basket', () => {
+        const left = getDrillSpotPosition({ at: 'elbow', hand: 'left' });
+        const right = getDrillSpotPosition({ at: 'elbow', hand: 'right' });
+        assert.equal(left.x, getFreeThrowLineX(1));
+        assert.equal(left.z, -COURT_STANDARDS.fiba.key.width / 2);
+        assert.equal(right.z, COURT_STANDARDS.fiba.key.width / 2);
+
+        // Facing the left basket, the shooter's right hand is toward negative Z
+        assert.equal(getDrillSpotPosition({ at: 'elbow', hand: 'right' }, -1).z, -COURT_STANDARDS.fiba.key.width / 2);
+    });
+
+    test('are nudged by their offset, and kept inside the lines', () => {
+        const spot = getDrillSpotPosition({ at: 'freeThrow', offset: { out: 1, across: 0.5 } });
+        assert.ok(Math.abs(spot.x - (getFreeThrowLineX(1) - 1)) < 1e-9);
+        assert.equal(spot.z, 0.5);
+
+        setCourtSpec(parseCourtSpec({ length: 8, width: 7, halfCourt: true, key: { freeThrowDistance: 4.6 } }));
+        assert.ok(isInBounds(getDrillSpotPosition({ at: 'corner', hand: 'left' })));
+        assert.ok(isInBounds(getDrillSpotPosition({ at: 'top' })));
+    });
+
+    test('must be known', () => {
+        assert.throws(() => getDrillSpotPosition({ at: 'logo' }), /Unknown drill spot/);
+    });
+});
+
+describe('DrillRun', () => {
+    test('moves on to the next spot only after a make', () => {
+        const run = new DrillRun('aroundTheWorld', DRILLS.aroundTheWorld);
+        assert.equal(run.getCurrentSpot().name, 'Left Corner');
+        run.recordAttempt(false);
+        assert.equal(run.getCurrentSpot().name, 'Left Corner');
+        run.recordAttempt(true);
+        assert.equal(run.getCurrentSpot().name, 'Left Wing');
+        assert.deepEqual(run.getSpot(), getDrillSpotPosition(DRILLS.aroundTheWorld.spots[1]));
+        assert.equal(run.attempts, 2);
+    });
+
+    test('times the run up to the make from the last spot', () => {
+        const run = new DrillRun('spotShooting', DRILLS.spotShooting);
+        const completions = [];
+        run.on('complete', completion => completions.push(completion));
+        completeRun(run, 2);
+        run.step(10); // The run is over, neither counts
+        run.recordAttempt(true);
+
+        assert.equal(run.complete, true);
+        assert.equal(run.time, 10);
+        assert.equal(run.attempts, 5);
+        assert.deepEqual(completions, [{ time: 10, best: 10, newBest: true }]);
+    });
+
+    test('saves personal bests per drill and court', () => {
+        const storage = createStorage();
+        const run = new DrillRun('spotShooting', DRILLS.spotShooting, { storage });
+        assert.equal(run.getBestTime(), null);
+        completeRun(run, 3);
+        assert.equal(run.getBestTime(), 15);
+
+        run.reset();
+        completeRun(run, 4);
+        assert.equal(run.newBest, false);
+        assert.equal(run.getBestTime(), 15);
+
+        run.reset();
+        completeRun(run, 2);
+        assert.equal(run.newBest, true);
+        assert.equal(new DrillRun('spotShooting', DRILLS.spotShooting, { storage }).getBestTime(), 10);
+        assert.equal(new DrillRun('aroundTheWorld', DRILLS.aroundTheWorld, { storage }).getBestTime(), null);
+
+        setCourtSpec(COURT_STANDARDS.nba);
+        assert.equal(run.getBestTime(), null);
+    });
+
+    test('reads each personal best from storage only once', () => {
+        const storage = createStorage();
+        storage.setItem('basketball.drillBest.spotShooting.FIBA', '12');
+        storage.setItem('basketball.drillBest.spotShooting.NBA', '14');
+        let reads = 0;
+        const getItem = storage.getItem;
+        storage.getItem = key => {
+            reads++;
+            return getItem(key);
+        };
+
+        const run = new DrillRun('spotShooting', DRILLS.spotShooting, { storage });
+        for (let frame = 0; frame < 10; frame++) {
+            assert.equal(run.getBestTime(), 12);
+        }
+        assert.equal(reads, 1);
+
+        completeRun(run, 2);
+        assert.equal(run.getBestTime(), 10);
+        assert.equal(reads, 1);
+
+        setCourtSpec(COURT_STANDARDS.nba);
+        assert.equal(run.getBestTime(), 14);
+        assert.equal(run.getBestTime(), 14);
+        assert.equal(reads, 2);
+    });
+});
@@ -0,0 +1,69 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FixedStepClock } from '../src/utils/FixedStepClock.js';
+
+// A step that is exact in binary, so frame times add up without rounding
+const STEP = 1 / 64;
+const STEP_MS = STEP * 1000;
+
+describe('FixedStepClock', () => {
+    test('runs no steps on the first frame', () => {
+        const clock = new FixedStepClock({ step: STEP });
+        assert.deepEqual(clock.tick(1234), { steps: 0, alpha: 0 });
+    });
+
+    test('runs one step per frame at the step rate', () => {
+        const clock = new FixedStepClock({ step: STEP });
+        clock.tick(0);
+        for (let frame = 1; frame <= 10; frame++) {
+            assert.deepEqual(clock.tick(frame * STEP_MS), { steps: 1, alpha: 0 });
+        }
+    });
+
+    test('carries leftover time over as the interpolation factor', () => {
+        const clock = new FixedStepClock({ step: STEP });
+        clock.tick(0);
+        assert.deepEqual(clock.tick(STEP_MS * 0.25), { steps: 0, alpha: 0.25 });
+        assert.deepEqual(clock.tick(STEP_MS * 1.5), { steps: 1, alpha: 0.5 });
+        assert.deepEqual(clock.tick(STEP_MS * 2.75), { steps: 1, alpha: 0.75 });
+        assert.deepEqual(clock.tick(STEP_MS * 3), { steps: 1, alpha: 0 });
+    });
+
+    test('clamps a long frame to the longest frame time', () => {
+        const clock = new FixedStepClock({ step: STEP, maxFrameTime: 0.25, maxSubsteps: 100 });
+        clock.tick(0);
+        assert.deepEqual(clock.tick(5000), { steps: 0.25 / STEP, alpha: 0 });
+        // Only the clamped frame was simulated, nothing of it is left over
+        assert.deepEqual(clock.tick(5000 + STEP_MS), { steps: 1, alpha: 0 });
+    });
+
+    test('caps the steps per frame and drops the leftover time', () => {
+        const clock = new FixedStepClock({ step: STEP, maxSubsteps: 8 });
+        clock.tick(0);
+        assert.deepEqual(clock.tick(STEP_MS * 10.5), { steps: 8, alpha: 0 });
+        assert.deepEqual(clock.tick(STEP_MS * 11.5), { steps: 1, alpha: 0 });
+    });
+
+    test('runs no steps when the time goes backwards', () => {
+        const clock = new FixedStepClock({ step: STEP });
+        clock.tick(1000);
+        assert.deepEqual(clock.tick(500), { steps: 0, alpha: 0 });
+    });
+
+    test('starts over after a reset', () => {
+        const clock = new FixedStepClock({ step: STEP });
+        clock.tick(0);
+        clock.tick(STEP_MS * 0.5);
+        clock.reset();
+        assert.deepEqual(clock.tick(60000), { steps: 0, alpha: 0 });
+        assert.deepEqual(clock.tick(60000 + STEP_MS), { steps: 1, alpha: 0 });
+    });
+
+    test('defaults to 60 steps per second, 0.25s frames and 8 steps per frame', () => {
+        const clock = new FixedStepClock();
+        assert.equal(clock.step, 1 / 60);
+        assert.equal(clock.maxFrameTime, 0.25);
+        assert.equal(clock.maxSubsteps, 8);
+    });
+});
@@ -0,0 +1,74 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { BallPhysics } from '../src/physics/BallPhysics.js';
+import { FreeThrowPractice } from '../src/game/FreeThrowPractice.js';
+import { getFreeThrowLineX } from '../src/court/CourtSpec.js';
+
+/**
+ * Starts a session whose trips have the given numbers of attempts, in turn.
+ */
+function createPractice(tripAttempts) {
+    let trip = 0;
+    return new FreeThrowPractice({ pickTripAttempts: () => tripAttempts[trip++ % tripAttempts.length] });
+}
+
+describe('FreeThrowPractice', () => {
+    test('locks the ball on the middle of the free-throw line', () => {
+        assert.deepEqual(new FreeThrowPractice().getSpot(), { x: getFreeThrowLineX(1), z: 0 });
+        assert.deepEqual(new FreeThrowPractice({ side: -1 }).getSpot(), { x: getFreeThrowLineX(-1), z: 0 });
+    });
+
+    test('scores a free throw from the spot for 1 point', () => {
+        const practice = new FreeThrowPractice();
+        const physics = new BallPhysics();
+        const spot = practice.getSpot();
+        physics.placeAt(spot.x, spot.z);
+        assert.equal(physics.shootTowardNearestHoop(0.5, 0, { shotStyle: practice.shotStyle }).shotType, 'FT');
+
+        practice.recordAttempt(true);
+        assert.equal(practice.getPoints(), 1);
+    });
+
+    test('gives every trip 1 to 3 attempts', () => {
+        const practice = new FreeThrowPractice();
+        for (let i = 0; i < 50; i++) {
+            assert.ok([1, 2, 3].includes(practice.tripAttempts));
+            practice.recordAttempt(true);
+        }
+    });
+
+    test('goes to the next trip after the last attempt', () => {
+        const practice = createPractice([2, 3]);
+        const trips = [];
+        practice.on('trip', trip => trips.push(trip));
+        assert.equal(practice.tripAttempts, 2);
+
+        practice.recordAttempt(true);
+        assert.equal(practice.attemptsLeft, 1);
+        practice.recordAttempt(false);
+        assert.deepEqual(trips, [{ trip: 2, attempts: 3 }]);
+        assert.equal(practice.attemptsLeft, 3);
+    });
+
+    test('tracks the streak, the best streak and the percentage', () => {
+        const practice = createPractice([3]);
+        [true, true, true, false, true].forEach(made => practice.recordAttempt(made));
+
+        assert.equal(practice.streak, 1);
+        assert.equal(practice.bestStreak, 3);
+        assert.equal(practice.made, 4);
+        assert.equal(practice.attempts, 5);
+    });
+
+    test('starts a new session on reset', () => {
+        const practice = createPractice([1]);
+        practice.recordAttempt(true);
+        practice.recordAttempt(true);
+        practice.reset();
+
+        assert.equal(practice.attempts, 0);
+        assert.equal(practice.bestStreak, 0);
+        assert.equal(practice.trip, 1);
+    });
+});
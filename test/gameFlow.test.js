@@ -0,0 +1,158 @@
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GameFlow, GAME_RULES } from '../src/game/GameFlow.js';
+import { COURT_STANDARDS, setCourtSpec } from '../src/court/CourtSpec.js';
+
+afterEach(() => {
+    setCourtSpec(COURT_STANDARDS.fiba);
+});
+
+const DT = 0.1;
+
+/**
+ * Runs a game for some seconds of simulated time, in steps of DT.
+ */
+function run(game, seconds) {
+    for (let i = 0; i < Math.round(seconds / DT); i++) {
+        game.step(DT);
+    }
+}
+
+/**
+ * Records the events a game reports, by name.
+ */
+function recordEvents(game) {
+    const events = { stateChange: [], buzzer: [], violation: [], reset: [] };
+    Object.keys(events).forEach(name => game.on(name, data => events[name].push(data)));
+    return events;
+}
+
+describe('GameFlow', () => {
+    test('plays by the rules of the court standard', () => {
+        assert.equal(new GameFlow().rules, GAME_RULES.fiba);
+        setCourtSpec(COURT_STANDARDS.nba);
+        assert.equal(new GameFlow().gameClock, 12 * 60);
+        setCourtSpec(COURT_STANDARDS.ncaa);
+        const game = new GameFlow();
+        assert.equal(game.getPeriodName(), 'H1');
+    });
+
+    test('keeps the clocks stopped until tip-off', () => {
+        const game = new GameFlow();
+        run(game, 5);
+        assert.equal(game.state, 'pregame');
+        assert.equal(game.gameClock, 10 * 60);
+
+        game.start();
+        run(game, 5);
+        assert.equal(game.isLive(), true);
+        assert.ok(Math.abs(game.gameClock - (10 * 60 - 5)) < 1e-6);
+        assert.ok(Math.abs(game.shotClock - 19) < 1e-6);
+    });
+
+    test('calls a shot clock violation with the buzzer', () => {
+        const game = new GameFlow();
+        const events = recordEvents(game);
+        game.start();
+        run(game, 24.5);
+
+        assert.deepEqual(events.buzzer, [{ clock: 'shot' }]);
+        assert.deepEqual(events.violation, [{ type: 'shotClock' }]);
+        assert.ok(game.shotClock > 23); // A new possession
+    });
+
+    test('lets a shot in the air land after the shot clock runs out', () => {
+        const game = new GameFlow();
+        const events = recordEvents(game);
+        game.start();
+        run(game, 23);
+        game.onShotReleased();
+        run(game, 3);
+        assert.equal(events.violation.length, 0);
+        assert.equal(game.shotClock, 0);
+
+        game.onShotEnded('made');
+        assert.equal(game.shotClock, 24);
+    });
+
+    test('gives an offensive rebound a 14 second shot clock', () => {
+        const game = new GameFlow();
+        game.start();
+        run(game, 10);
+        game.onShotReleased();
+        game.onShotEnded('rebound');
+        assert.equal(game.shotClock, 14);
+        game.onShotReleased();
+        game.onShotEnded('outOfBounds');
+        assert.equal(game.shotClock, 24);
+    });
+
+    test('stops the clocks for a timeout, and resumes at the buzzer', () => {
+        const game = new GameFlow();
+        const events = recordEvents(game);
+        game.start();
+        run(game, 1);
+        assert.equal(game.toggleTimeout(), true);
+        const gameClock = game.gameClock;
+        run(game, 30);
+        assert.equal(game.state, 'timeout');
+        assert.equal(game.gameClock, gameClock);
+
+        run(game, 30.5);
+        assert.equal(game.state, 'live');
+        assert.deepEqual(events.buzzer, [{ clock: 'timeout' }]);
+        assert.equal(game.timeoutsLeft, 4);
+    });
+
+    test('only calls a timeout in live play', () => {
+        const game = new GameFlow();
+        assert.equal(game.toggleTimeout(), false);
+        game.start();
+        game.toggleTimeout();
+        assert.equal(game.toggleTimeout(), true); // Ended early
+        assert.equal(game.state, 'live');
+    });
+
+    test('plays the periods through to the final buzzer', () => {
+        const rules = { periods: 2, periodLength: 20, periodName: 'H' };
+        const game = new GameFlow({ rules, getScore: () => ({ home: 2, away: 0 }) });
+        const events = recordEvents(game);
+        game.start();
+        run(game, 21);
+        assert.equal(game.state, 'break');
+        assert.equal(game.getPeriodName(), 'H2');
+        assert.equal(game.gameClock, 20);
+
+        game.start();
+        run(game, 21);
+        assert.equal(game.state, 'final');
+        assert.equal(events.buzzer.filter(buzzer => buzzer.clock === 'game').length, 2);
+        assert.equal(events.violation.length, 0); // The game clock ran out first
+    });
+
+    test('goes to overtime on a tie', () => {
+        const rules = { periods: 1, periodLength: 10, periodName: 'Q' };
+        const game = new GameFlow({ rules, getScore: () => ({ home: 4, away: 4 }) });
+        game.start();
+        run(game, 11);
+        assert.equal(game.state, 'break');
+        assert.equal(game.getPeriodName(), 'OT1');
+        assert.equal(game.gameClock, 5 * 60);
+    });
+
+    test('starts a new game, clearing the score, after the final', () => {
+        const rules = { periods: 1, periodLength: 10, periodName: 'Q' };
+        const game = new GameFlow({ rules });
+        const events = recordEvents(game);
+        game.start();
+        run(game, 11);
+        assert.equal(game.state, 'final');
+
+        game.start();
+        assert.equal(events.reset.length, 1);
+        assert.equal(game.state, 'live');
+        assert.equal(game.period, 1);
+        assert.equal(game.gameClock, 10);
+    });
+});
@@ -0,0 +1,9 @@
+/**
+ * A minimal stand-in for the browser `document`, enough for the UI modules
+ * to update their (missing) elements without a DOM.
+ */
+
+globalThis.document = globalThis.document || {
+    getElementById: () => null,
+    createElement: () => ({ remove() {} })
+};
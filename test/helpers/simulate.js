@@ -0,0 +1,38 @@
+/**
+ * Helpers for driving the headless ball simulation in tests.
+ */
+
+import { BallPhysics } from '../../src/physics/BallPhysics.js';
+
+const MAX_STEPS = 60 * 30; // 30 seconds of simulated time
+
+/**
+ * Shoots from a spot on the court, from the hands as a player does, and steps the
+ * simulation frame by frame until the ball comes to rest.
+ * @param {{x: number, z: number}} from - Release spot on the floor.
+ * @param {number} power - Shot power, from 0 to 1.
+ * @param {Object} [options]
+ * @param {boolean} [options.aerodynamics=false] - Apply air drag and the Magnus force.
+ * @param {number} [options.backspin=0] - Backspin given at release, in revolutions per second.
+ * @param {Object} [options.aim] - Manual aim, as for `shootTowardNearestHoop`.
+ * @returns {{made: boolean, baskets: Object[], misses: Object[], steps: number, physics: BallPhysics}}
+ */
+export function simulateShot(from, power, { aerodynamics = false, backspin = 0, aim } = {}) {
+    const physics = new BallPhysics({ aerodynamics });
+    const baskets = [];
+    const misses = [];
+    physics.on('basket', basket => baskets.push(basket));
+    physics.on('miss', miss => misses.push(miss));
+
+    physics.placeAt(from.x, from.z);
+    physics.gather(); // Like the game, which always gathers the ball into the hands to shoot
+    physics.shootTowardNearestHoop(power, backspin, aim);
+
+    let steps = 0;
+    while (physics.shooting && steps < MAX_STEPS) {
+        physics.step();
+        steps++;
+    }
+
+    return { made: baskets.length > 0, baskets, misses, steps, physics };
+}
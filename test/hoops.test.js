@@ -0,0 +1,61 @@
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getHoopColliders, RIM_RADIUS, RIM_TUBE_THICKNESS } from '../src/components/Hoops.js';
+import {
+    COURT_STANDARDS,
+    setCourtSpec,
+    parseCourtSpec,
+    getBaselineX,
+    getBackboardX
+} from '../src/court/CourtSpec.js';
+
+afterEach(() => {
+    setCourtSpec(COURT_STANDARDS.fiba);
+});
+
+/**
+ * Gets the collider of one hoop part, by its collider type and material.
+ * The supports are out of bounds, so the rim bracket is the only steel box that isn't.
+ */
+function getPart(side, type, material, outOfBounds = undefined) {
+    return getHoopColliders().find(shape => shape.side === side && shape.type === type &&
+        shape.material === material && shape.outOfBounds === outOfBounds);
+}
+
+describe('hoop assembly', () => {
+    for (const height of [2.6, 3.05, 3.5]) {
+        test(`keeps the rim on the board for a ${height} m hoop`, () => {
+            setCourtSpec(parseCourtSpec({ hoop: { height } }));
+
+            for (const side of [-1, 1]) {
+                const rim = getPart(side, 'torus', 'rim');
+                const board = getPart(side, 'box', 'glass');
+                const bracket = getPart(side, 'box', 'steel');
+                const pole = getPart(side, 'cylinder', 'steel', true);
+
+                assert.equal(rim.center.y, height);
+                assert.ok(Math.abs(rim.center.y - board.center.y) < board.size.y / 2);
+                assert.equal(bracket.center.y, rim.center.y);
+                // The bracket spans from the back of the rim to the face of the board
+                const bracketFaceX = bracket.center.x + side * bracket.size.x / 2;
+                assert.ok(Math.abs(bracketFaceX - getBackboardX(side)) < 1e-9);
+                assert.ok(Math.abs(bracket.center.x - side * bracket.size.x / 2 - (rim.center.x + side * (RIM_RADIUS + RIM_TUBE_THICKNESS))) < 1e-9);
+                // The pole stands on the floor and reaches over the board
+                assert.equal(pole.center.y - pole.height / 2, 0);
+                assert.ok(pole.center.y + pole.height / 2 > board.center.y + board.size.y / 2);
+            }
+        });
+    }
+
+    test('stands the pole on a narrow runoff', () => {
+        setCourtSpec(parseCourtSpec({ runoff: 0.5 }));
+
+        for (const side of [-1, 1]) {
+            const pole = getPart(side, 'cylinder', 'steel', true);
+            const behindBaseline = side * (pole.center.x - getBaselineX(side));
+            assert.ok(behindBaseline > 0);
+            assert.ok(behindBaseline <= 0.5);
+        }
+    });
+});
@@ -0,0 +1,96 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { HorseGame, HORSE_WORD } from '../src/game/Horse.js';
+import { getFreeThrowLineX } from '../src/court/CourtSpec.js';
+
+const wing = { spot: { x: 7.3, z: 5.1 }, shotType: '3PT', shotStyle: 'jumper' };
+const block = { spot: { x: 12, z: -2 }, shotType: '2PT', shotStyle: 'hook' };
+
+describe('HorseGame', () => {
+    test('starts with the first player leading off from the free-throw line', () => {
+        const horse = new HorseGame({ names: ['Ana', 'Ben'] });
+        assert.equal(horse.shooter, 0);
+        assert.equal(horse.isBallLocked(), false);
+        assert.deepEqual(horse.getSpot(), { x: getFreeThrowLineX(1), z: 0 });
+        assert.equal(horse.shotStyle, null);
+    });
+
+    test('sets a challenge with a make by the leader', () => {
+        const horse = new HorseGame();
+        horse.recordAttempt(true, wing);
+
+        assert.equal(horse.shooter, 1);
+        assert.equal(horse.isBallLocked(), true);
+        assert.deepEqual(horse.getSpot(), wing.spot);
+        assert.equal(horse.shotStyle, 'jumper');
+        assert.deepEqual(horse.challenge, wing);
+    });
+
+    test('gives the follower a letter for missing the challenge, then the leader goes again', () => {
+        const horse = new HorseGame();
+        const turns = [];
+        horse.on('turn', turn => turns.push(turn));
+        horse.recordAttempt(true, wing);
+        horse.recordAttempt(false, wing);
+
+        assert.equal(horse.getLetters(1), 'H');
+        assert.equal(horse.shooter, 0);
+        assert.equal(horse.challenge, null);
+        assert.equal(horse.isBallLocked(), false);
+        assert.deepEqual(horse.getSpot(), wing.spot); // The leader gets the ball back there
+        assert.deepEqual(turns.map(turn => turn.result), ['challenge', 'letter']);
+    });
+
+    test('gives no letter for a matched challenge', () => {
+        const horse = new HorseGame();
+        horse.recordAttempt(true, block);
+        horse.recordAttempt(true, block);
+
+        assert.deepEqual(horse.letters, [0, 0]);
+        assert.equal(horse.shooter, 0);
+    });
+
+    test('hands the lead over on a miss by the leader', () => {
+        const horse = new HorseGame();
+        horse.recordAttempt(false, wing);
+
+        assert.equal(horse.leader, 1);
+        assert.equal(horse.shooter, 1);
+        assert.equal(horse.challenge, null);
+        horse.recordAttempt(true, block);
+        assert.equal(horse.shooter, 0);
+        assert.equal(horse.shotStyle, 'hook');
+    });
+
+    test('ends when a player has spelled the word', () => {
+        const horse = new HorseGame({ names: ['Ana', 'Ben'] });
+        const gameOvers = [];
+        horse.on('gameOver', gameOver => gameOvers.push(gameOver));
+        for (let i = 0; i < HORSE_WORD.length; i++) {
+            horse.recordAttempt(true, wing);
+            horse.recordAttempt(false, wing);
+        }
+
+        assert.equal(horse.getLetters(1), 'HORSE');
+        assert.equal(horse.winner, 0);
+        assert.deepEqual(gameOvers, [{ winner: 0 }]);
+
+        horse.recordAttempt(true, wing); // Not counted after the game
+        assert.equal(horse.challenge, null);
+    });
+
+    test('starts a new game on reset', () => {
+        const horse = new HorseGame({ names: ['Ana', 'Ben'] });
+        const resets = [];
+        horse.on('reset', reset => resets.push(reset));
+        horse.recordAttempt(false, wing);
+        horse.recordAttempt(true, wing);
+        horse.reset();
+
+        assert.deepEqual(resets, [{ names: ['Ana', 'Ben'] }]);
+        assert.equal(horse.shooter, 0);
+        assert.equal(horse.challenge, null);
+        assert.deepEqual(horse.letters, [0, 0]);
+    });
+});
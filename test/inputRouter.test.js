@@ -0,0 +1,89 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { InputRouter } from '../src/utils/InputRouter.js';
+
+/**
+ * An event target that records its listeners, and fires key events at them.
+ */
+function createKeyboard() {
+    const listeners = {};
+    return {
+        addEventListener: (type, listener) => {
+            (listeners[type] = listeners[type] || []).push(listener);
+        },
+        press: key => (listeners.keydown || []).forEach(listener => listener({ key })),
+        release: key => (listeners.keyup || []).forEach(listener => listener({ key })),
+        listenerCount: () => Object.values(listeners).flat().length
+    };
+}
+
+/**
+ * A handler that records the actions it is told about.
+ */
+function createRecorder() {
+    const actions = [];
+    return {
+        actions,
+        onActionDown: action => actions.push(`${action} down`),
+        onActionUp: action => actions.push(`${action} up`)
+    };
+}
+
+describe('InputRouter', () => {
+    test('listens on the page once, however many key maps are bound', () => {
+        const keyboard = createKeyboard();
+        const router = new InputRouter(keyboard);
+        router.bind({ shoot: [' '] }, createRecorder());
+        router.bind({ shoot: ['Enter'] }, createRecorder());
+        assert.equal(keyboard.listenerCount(), 2);
+    });
+
+    test('tells each handler only about its own keys', () => {
+        const keyboard = createKeyboard();
+        const router = new InputRouter(keyboard);
+        const arrows = createRecorder();
+        const wasd = createRecorder();
+        router.bind({ moveUp: ['ArrowUp'], shoot: ['Enter'] }, arrows);
+        router.bind({ moveUp: ['w', 'W'], shoot: [' '] }, wasd);
+
+        keyboard.press('W');
+        keyboard.press('Enter');
+        keyboard.release('Enter');
+        keyboard.press('x');
+
+        assert.deepEqual(arrows.actions, ['shoot down', 'shoot up']);
+        assert.deepEqual(wasd.actions, ['moveUp down']);
+    });
+
+    test('stops telling a handler about its keys once unbound', () => {
+        const keyboard = createKeyboard();
+        const router = new InputRouter(keyboard);
+        const recorder = createRecorder();
+        const unbind = router.bind({ shoot: [' '] }, recorder);
+
+        keyboard.press(' ');
+        unbind();
+        keyboard.press(' ');
+
+        assert.deepEqual(recorder.actions, ['shoot down']);
+    });
+
+    test('lets a handler swap key maps while a key is handled', () => {
+        const keyboard = createKeyboard();
+        const router = new InputRouter(keyboard);
+        const recorder = createRecorder();
+        let unbind = null;
+        unbind = router.bind({ mode: ['m'] }, {
+            onActionDown: () => {
+                unbind();
+                router.bind({ shoot: ['m'] }, recorder);
+            }
+        });
+
+        keyboard.press('m');
+        keyboard.press('m');
+
+        assert.deepEqual(recorder.actions, ['shoot down']);
+    });
+});
@@ -0,0 +1,116 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { NetPhysics, createNets } from '../src/physics/NetPhysics.js';
+import { BallPhysics, BALL_RADIUS } from '../src/physics/BallPhysics.js';
+import { getBasketCenter, getFreeThrowLineX } from '../src/court/CourtSpec.js';
+import { RIM_RADIUS } from '../src/components/Hoops.js';
+
+/**
+ * Largest distance any knot has moved from where it was in `rest`.
+ */
+function maxDisplacement(net, rest) {
+    let max = 0;
+    for (let k = 0; k < rest.length; k += 3) {
+        max = Math.max(max, Math.hypot(
+            net.positions[k] - rest[k], net.positions[k + 1] - rest[k + 1], net.positions[k + 2] - rest[k + 2]));
+    }
+    return max;
+}
+
+/**
+ * Shoots a jumper from the free-throw line that drops through the net, stepping the nets with the ball.
+ */
+function shootThroughNet(nets) {
+    const physics = new BallPhysics({ nets });
+    const baskets = [];
+    physics.on('basket', basket => baskets.push(basket));
+    physics.placeAt(getFreeThrowLineX(1), 0);
+    physics.gather();
+    physics.shootTowardNearestHoop(0.37);
+
+    const basketY = getBasketCenter(1).y;
+    let speedBelowNet = null;
+    let steps = 0;
+    while (physics.shooting && steps < 60 * 30) {
+        nets.forEach(net => net.step());
+        physics.step();
+        if (speedBelowNet === null && baskets.length > 0 && physics.position.y < basketY - 0.6) {
+            speedBelowNet = Math.hypot(physics.velocity.x, physics.velocity.y, physics.velocity.z);
+        }
+        steps++;
+    }
+    return { baskets, speedBelowNet };
+}
+
+describe('NetPhysics', () => {
+    test('hangs from the rim at rest', () => {
+        const net = new NetPhysics(1);
+        const basket = getBasketCenter(1);
+
+        for (let i = 0; i < net.segments; i++) {
+            const k = i * 3;
+            const radius = Math.hypot(net.positions[k] - basket.x, net.positions[k + 2] - basket.z);
+            assert.ok(Math.abs(radius - RIM_RADIUS) < 1e-6);
+            assert.ok(Math.abs(net.positions[k + 1] - basket.y) < 1e-6);
+        }
+
+        const rest = net.positions.slice();
+        for (let i = 0; i < 60; i++) {
+            net.step();
+        }
+        assert.ok(maxDisplacement(net, rest) < 0.005, 'a settled net should stay still');
+    });
+
+    test('is pushed aside by the ball, then settles back', () => {
+        const net = new NetPhysics(1);
+        const rest = net.positions.slice();
+        const basket = getBasketCenter(1);
+        const ball = {
+            position: { x: basket.x + 0.1, y: basket.y - 0.2, z: 0 },
+            velocity: { x: 0, y: -5, z: 0 }
+        };
+
+        const pushed = net.collideBall(ball, BALL_RADIUS);
+        assert.ok(pushed > 0);
+        assert.ok(maxDisplacement(net, rest) > 0.01);
+
+        for (let i = 0; i < 60 * 5; i++) {
+            net.step();
+        }
+        assert.ok(maxDisplacement(net, rest) < 0.01, 'the net should settle back to its resting shape');
+    });
+
+    test('slows the ball a little, but never stops it', () => {
+        const net = new NetPhysics(1);
+        const basket = getBasketCenter(1);
+        const ball = {
+            position: { x: basket.x + 0.1, y: basket.y - 0.2, z: 0 },
+            velocity: { x: 0, y: -5, z: 0 }
+        };
+
+        net.collideBall(ball, BALL_RADIUS);
+
+        assert.ok(ball.velocity.y > -5);
+        assert.ok(ball.velocity.y < -4);
+    });
+
+    test('ignores a ball away from the basket', () => {
+        const net = new NetPhysics(1);
+        const ball = { position: { x: 0, y: 1, z: 0 }, velocity: { x: 0, y: -5, z: 0 } };
+
+        assert.equal(net.collideBall(ball, BALL_RADIUS), 0);
+        assert.deepEqual(ball.velocity, { x: 0, y: -5, z: 0 });
+    });
+
+    test('a made shot snaps the net and is slowed by it', () => {
+        const nets = createNets();
+        const rest = nets[0].positions.slice();
+        const withNets = shootThroughNet(nets);
+        const withoutNets = shootThroughNet([]);
+
+        assert.equal(withNets.baskets.length, 1);
+        assert.ok(withNets.speedBelowNet < withoutNets.speedBelowNet);
+        assert.ok(maxDisplacement(nets[0], rest) < 0.01, 'the net should have settled once the ball is at rest');
+    });
+});
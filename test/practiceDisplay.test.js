@@ -0,0 +1,36 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+const practiceElement = { style: {}, innerHTML: '' };
+globalThis.document = {
+    getElementById: id => id === 'practice-display' ? practiceElement : null,
+    createElement: () => ({ remove() {} })
+};
+
+const { updateHorseDisplay } = await import('../src/ui/PracticeDisplay.js');
+const { setPlayers, addPlayerTurn } = await import('../src/ui/Score.js');
+const { HorseGame } = await import('../src/game/Horse.js');
+
+describe('updateHorseDisplay', () => {
+    test('shows player names as text, not markup', () => {
+        const names = ['<img src=x onerror=alert(1)>', 'Ben & "Jerry"'];
+        const horse = new HorseGame({ names });
+        setPlayers(names);
+        updateHorseDisplay(horse);
+
+        assert.ok(!practiceElement.innerHTML.includes('<img'));
+        assert.ok(practiceElement.innerHTML.includes('&lt;img src=x onerror=alert(1)&gt;'));
+        assert.ok(practiceElement.innerHTML.includes('Ben &amp; &quot;Jerry&quot;'));
+    });
+
+    test('shows the name in the last turn as text', () => {
+        const names = ['<b>Ana</b>', 'Ben'];
+        const horse = new HorseGame({ names });
+        setPlayers(names);
+        addPlayerTurn({ player: 0, made: true, shotType: '2PT', shotStyle: 'jumper', spot: { x: 0, z: 0 }, result: 'challenge' });
+        updateHorseDisplay(horse);
+
+        assert.ok(!practiceElement.innerHTML.includes('<b>'));
+        assert.ok(practiceElement.innerHTML.includes('Last: &lt;b&gt;Ana&lt;/b&gt; made it'));
+    });
+});
@@ -0,0 +1,166 @@
+import './helpers/fakeDocument.js';
+
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    SHOT_POINTS,
+    formatPercentage,
+    addShotAttempt,
+    addShotMade,
+    addShotMissed,
+    addHomeScore,
+    addAwayScore,
+    resetScore,
+    getHomeScore,
+    getAwayScore,
+    getTotalShotsAttempted,
+    getTotalShotsMade,
+    getBankShotsMade,
+    getShotStats,
+    getShotStyleStats,
+    getMissResultCount,
+    getShotAccuracy,
+    setPlayers,
+    getPlayers,
+    addPlayerTurn,
+    getShotHistory
+} from '../src/ui/Score.js';
+
+beforeEach(() => {
+    resetScore();
+});
+
+describe('formatPercentage', () => {
+    test('is 0.0 with no attempts', () => {
+        assert.equal(formatPercentage(0, 0), '0.0');
+    });
+
+    test('rounds to one decimal', () => {
+        assert.equal(formatPercentage(1, 3), '33.3');
+        assert.equal(formatPercentage(2, 3), '66.7');
+        assert.equal(formatPercentage(5, 5), '100.0');
+    });
+});
+
+describe('score counters', () => {
+    test('count attempts and makes per shot type', () => {
+        addShotAttempt('3PT');
+        addShotAttempt('3PT');
+        addShotAttempt('FT');
+        addShotMade({ shotType: '3PT' });
+
+        assert.equal(getTotalShotsAttempted(), 3);
+        assert.equal(getTotalShotsMade(), 1);
+        assert.deepEqual(getShotStats('3PT'), { attempts: 2, made: 1 });
+        assert.deepEqual(getShotStats('FT'), { attempts: 1, made: 0 });
+        assert.deepEqual(getShotStats('2PT'), { attempts: 0, made: 0 });
+        assert.equal(getShotAccuracy(), '33.3');
+    });
+
+    test('add points to the scoring team and count the make', () => {
+        addShotAttempt('3PT');
+        addHomeScore(SHOT_POINTS['3PT'], { shotType: '3PT' });
+        addShotAttempt('FT');
+        addAwayScore(SHOT_POINTS.FT, { shotType: 'FT' });
+
+        assert.equal(getHomeScore(), 3);
+        assert.equal(getAwayScore(), 1);
+        assert.equal(getTotalShotsMade(), 2);
+        assert.equal(getShotAccuracy(), '100.0');
+    });
+
+    test('count bank shots separately', () => {
+        addShotMade({ makeType: 'bank' });
+        addShotMade({ makeType: 'direct' });
+
+        assert.equal(getBankShotsMade(), 1);
+        assert.equal(getTotalShotsMade(), 2);
+    });
+
+    test('count attempts and makes per shot style', () => {
+        addShotAttempt('2PT', 'dunk');
+        addShotAttempt('2PT', 'layup');
+        addShotAttempt('2PT', 'layup');
+        addShotAttempt('3PT');
+        addHomeScore(2, { shotType: '2PT', shotStyle: 'dunk' });
+        addHomeScore(2, { shotType: '2PT', shotStyle: 'layup', makeType: 'bank' });
+
+        assert.deepEqual(getShotStyleStats('dunk'), { attempts: 1, made: 1 });
+        assert.deepEqual(getShotStyleStats('layup'), { attempts: 2, made: 1 });
+        assert.deepEqual(getShotStyleStats('jumper'), { attempts: 1, made: 0 });
+        assert.deepEqual(getShotStyleStats('hook'), { attempts: 0, made: 0 });
+        assert.deepEqual(getShotStats('2PT'), { attempts: 3, made: 2 });
+        assert.equal(getBankShotsMade(), 1);
+    });
+
+    test('count how missed shots ended up', () => {
+        addShotMissed({ result: 'rebound' });
+        addShotMissed({ result: 'rebound' });
+        addShotMissed({ result: 'outOfBounds', airBall: true });
+        addShotMissed();
+
+        assert.equal(getMissResultCount('rebound'), 2);
+        assert.equal(getMissResultCount('outOfBounds'), 1);
+        assert.equal(getMissResultCount('loose'), 1);
+        assert.equal(getMissResultCount('backcourt'), 0);
+    });
+
+    test('are all cleared by resetScore', () => {
+        addShotAttempt('2PT', 'hook');
+        addHomeScore(2, { makeType: 'bank', shotStyle: 'hook' });
+        addShotMissed({ result: 'rebound' });
+        resetScore();
+
+        assert.equal(getHomeScore(), 0);
+        assert.equal(getTotalShotsAttempted(), 0);
+        assert.equal(getTotalShotsMade(), 0);
+        assert.equal(getBankShotsMade(), 0);
+        assert.deepEqual(getShotStats('2PT'), { attempts: 0, made: 0 });
+        assert.deepEqual(getShotStyleStats('hook'), { attempts: 0, made: 0 });
+        assert.equal(getMissResultCount('rebound'), 0);
+        assert.equal(getShotAccuracy(), '0.0');
+    });
+});
+
+describe('named players', () => {
+    const turn = { shotType: '3PT', shotStyle: 'jumper', spot: { x: 5, z: 1 } };
+
+    test('count their own attempts and makes', () => {
+        setPlayers(['Ana', 'Ben']);
+        addPlayerTurn({ ...turn, player: 0, made: true, result: 'challenge' });
+        addPlayerTurn({ ...turn, player: 1, made: false, result: 'letter' });
+
+        assert.deepEqual(getPlayers(), [
+            { name: 'Ana', attempts: 1, made: 1 },
+            { name: 'Ben', attempts: 1, made: 0 }
+        ]);
+    });
+
+    test('keep a history of every turn, in order', () => {
+        setPlayers(['Ana', 'Ben']);
+        addPlayerTurn({ ...turn, player: 0, made: true, result: 'challenge' });
+        addPlayerTurn({ ...turn, player: 1, made: true, result: 'matched' });
+
+        const history = getShotHistory();
+        assert.equal(history.length, 2);
+        assert.deepEqual(history[1], {
+            turn: 2, player: 1, name: 'Ben', made: true, shotType: '3PT', shotStyle: 'jumper', spot: { x: 5, z: 1 }, result: 'matched'
+        });
+        history[1].spot.x = 0;
+        assert.equal(getShotHistory()[1].spot.x, 5); // A copy
+    });
+
+    test('start over when they are named again', () => {
+        setPlayers(['Ana', 'Ben']);
+        addPlayerTurn({ ...turn, player: 0, made: true, result: 'challenge' });
+        setPlayers(['Cy', 'Di']);
+
+        assert.deepEqual(getShotHistory(), []);
+        assert.deepEqual(getPlayers()[0], { name: 'Cy', attempts: 0, made: 0 });
+    });
+});
+
+test('shot points are 2 for a two, 3 for a three and 1 for a free throw', () => {
+    assert.deepEqual(SHOT_POINTS, { '2PT': 2, '3PT': 3, 'FT': 1 });
+});
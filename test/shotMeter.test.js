@@ -0,0 +1,73 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    CHARGE_TIME,
+    RELEASE_WINDOW,
+    MIN_POWER,
+    MAX_POWER,
+    getMeterPower,
+    getReleaseWindow,
+    getReleasedPower
+} from '../src/physics/ShotMeter.js';
+
+/**
+ * Checks two powers are equal, up to rounding.
+ */
+function assertPower(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `expected ${expected}, got ${actual}`);
+}
+
+describe('getMeterPower', () => {
+    test('charges from empty to full power in the charge time', () => {
+        assertPower(getMeterPower(0), MIN_POWER);
+        assertPower(getMeterPower(CHARGE_TIME / 4), 0.25);
+        assertPower(getMeterPower(CHARGE_TIME), MAX_POWER);
+    });
+
+    test('falls back after full power, then charges again', () => {
+        assertPower(getMeterPower(CHARGE_TIME * 1.25), 0.75);
+        assertPower(getMeterPower(CHARGE_TIME * 2), MIN_POWER);
+        assertPower(getMeterPower(CHARGE_TIME * 2.25), 0.25);
+        assertPower(getMeterPower(CHARGE_TIME * 5.5), 0.5);
+    });
+});
+
+describe('getReleaseWindow', () => {
+    test('spans the release window on either side of the sweet spot', () => {
+        const releaseWindow = getReleaseWindow(0.5);
+        assertPower(releaseWindow.start, 0.5 - RELEASE_WINDOW);
+        assertPower(releaseWindow.end, 0.5 + RELEASE_WINDOW);
+    });
+
+    test('is clamped to the power bar at its ends', () => {
+        assert.deepEqual(getReleaseWindow(0.01), { start: MIN_POWER, end: 0.01 + RELEASE_WINDOW });
+        assert.deepEqual(getReleaseWindow(0.99), { start: 0.99 - RELEASE_WINDOW, end: MAX_POWER });
+        assert.deepEqual(getReleaseWindow(MAX_POWER), { start: MAX_POWER - RELEASE_WINDOW, end: MAX_POWER });
+    });
+
+    test('is missing without a sweet spot on the power bar', () => {
+        assert.equal(getReleaseWindow(null), null);
+        assert.equal(getReleaseWindow(-0.1), null);
+        assert.equal(getReleaseWindow(1.2), null);
+        assert.equal(getReleaseWindow(NaN), null);
+    });
+});
+
+describe('getReleasedPower', () => {
+    test('snaps a release inside the window to the sweet spot', () => {
+        assert.equal(getReleasedPower(0.5, 0.52), 0.52);
+        assert.equal(getReleasedPower(0.52 - RELEASE_WINDOW, 0.52), 0.52);
+        assert.equal(getReleasedPower(0.52 + RELEASE_WINDOW, 0.52), 0.52);
+    });
+
+    test('keeps the power of a release outside the window', () => {
+        assert.equal(getReleasedPower(0.4, 0.52), 0.4);
+        assert.equal(getReleasedPower(0.6, 0.52), 0.6);
+    });
+
+    test('keeps the power without a sweet spot on the power bar', () => {
+        assert.equal(getReleasedPower(0.5, null), 0.5);
+        assert.equal(getReleasedPower(0.95, 1.2), 0.95);
+    });
+});
@@ -0,0 +1,84 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { simulateShot } from './helpers/simulate.js';
+import { solveLaunchSpeed } from '../src/physics/ShotSolver.js';
+import { BallPhysics, launchSpeedToPower, getAutoLaunchAngle } from '../src/physics/BallPhysics.js';
+import { getBasketCenter, getFreeThrowLineX } from '../src/court/CourtSpec.js';
+
+const GRAVITY = 9.8;
+const PHYSICS_SPEED_MULTIPLIER = 0.8; // The simulation flies the ball at 0.8x its velocity
+
+/**
+ * Gets the ball center in the hands at a spot, where a player's shot from there leaves from.
+ */
+function releaseFrom(x, z) {
+    const physics = new BallPhysics();
+    physics.placeAt(x, z);
+    physics.gather();
+    return physics.getShotPosition();
+}
+
+// Spots on the FIBA court the solved power should score from
+const SPOTS = [
+    { name: 'the free-throw line', x: getFreeThrowLineX(1), z: 0 },
+    { name: 'a close shot', x: 10, z: -2 },
+    { name: 'the corner', x: 11, z: 4 },
+    { name: 'the wing', x: 5, z: 3 },
+    { name: 'the top of the key on the left', x: -7, z: 1 }
+];
+
+describe('solveLaunchSpeed', () => {
+    test('matches the projectile formula without air', () => {
+        const from = releaseFrom(7, 0);
+        const rim = getBasketCenter(1);
+        const distance = rim.x - from.x;
+        const height = rim.y - from.y;
+        const angle = getAutoLaunchAngle(distance);
+
+        // The simulated flight is a parabola at 0.8x the velocity, under 0.8x the gravity
+        const gravity = GRAVITY * PHYSICS_SPEED_MULTIPLIER;
+        const flightSpeed = Math.sqrt(gravity * distance * distance /
+            (2 * Math.cos(angle) ** 2 * (distance * Math.tan(angle) - height)));
+        const expected = flightSpeed / PHYSICS_SPEED_MULTIPLIER;
+
+        const solved = solveLaunchSpeed(from);
+        assert.ok(Math.abs(solved - expected) / expected < 0.01, `${solved} vs ${expected}`);
+    });
+
+    test('needs a faster launch against air drag', () => {
+        const from = releaseFrom(7, 0);
+        assert.ok(solveLaunchSpeed(from, { aerodynamics: true }) > solveLaunchSpeed(from));
+    });
+
+    test('gives up on a launch angle too flat to get up to the rim', () => {
+        assert.equal(solveLaunchSpeed(releaseFrom(0, 0), { launchAngle: Math.PI / 36 }), null);
+    });
+
+    for (const spot of SPOTS) {
+        test(`the solved power scores from ${spot.name}`, () => {
+            const power = launchSpeedToPower(solveLaunchSpeed(releaseFrom(spot.x, spot.z)));
+            const result = simulateShot(spot, power);
+
+            assert.ok(power > 0 && power < 1, `power ${power} should be on the power bar`);
+            assert.equal(result.made, true);
+            assert.equal(result.baskets[0].makeType, 'direct');
+        });
+    }
+
+    test('the solved speed scores with air drag and backspin', () => {
+        const options = { aerodynamics: true, backspin: 2 };
+        const launchSpeed = solveLaunchSpeed(releaseFrom(7, 0), options);
+        const result = simulateShot({ x: 7, z: 0 }, 0, { ...options, aim: { launchSpeed } });
+
+        assert.equal(result.made, true);
+    });
+
+    test('the solved speed scores at a steep manual launch angle', () => {
+        const launchAngle = Math.PI * 7 / 18; // 70 degrees, flat shots clip the front of the rim
+        const launchSpeed = solveLaunchSpeed(releaseFrom(7, 0), { launchAngle });
+        const result = simulateShot({ x: 7, z: 0 }, 0, { aim: { launchAngle, launchSpeed } });
+
+        assert.equal(result.made, true);
+    });
+});
@@ -0,0 +1,169 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { simulateShot } from './helpers/simulate.js';
+import { BallPhysics } from '../src/physics/BallPhysics.js';
+import { solveLaunchSpeed } from '../src/physics/ShotSolver.js';
+import {
+    SHOT_STYLES,
+    pickShotStyle,
+    isShotStyleAvailable,
+    planShot,
+    getStyledLaunchSpeed,
+    getSweetSpotPower
+} from '../src/physics/ShotStyles.js';
+import { SHOT_STYLE_NAMES } from '../src/physics/ShotStyleNames.js';
+import { getBasketCenter, getFreeThrowLineX } from '../src/court/CourtSpec.js';
+
+const rim = getBasketCenter(1);
+
+/**
+ * Gets a spot relative to the right basket's rim center.
+ */
+function nearRim(dx, z) {
+    return { x: rim.x + dx, z };
+}
+
+/**
+ * Plans a shot in a style from a spot, and solves its perfect launch speed.
+ */
+function planFrom(from, style) {
+    const physics = new BallPhysics();
+    physics.placeAt(from.x, from.z);
+    const plan = planShot(style, physics.position);
+    const solvedSpeed = solveLaunchSpeed(plan.aim.release, { target: plan.target, launchAngle: plan.aim.launchAngle });
+    return { plan, solvedSpeed };
+}
+
+/**
+ * Shoots a styled shot from a spot, a power error away from the solved power.
+ */
+function shootStyled(from, style, powerError = 0) {
+    const { plan, solvedSpeed } = planFrom(from, style);
+    const power = getSweetSpotPower(plan, solvedSpeed) + powerError;
+    const aim = { ...plan.aim, launchSpeed: getStyledLaunchSpeed(plan, power, solvedSpeed) };
+    return simulateShot(from, power, { aim });
+}
+
+describe('SHOT_STYLES', () => {
+    test('names every style from the dependency-free name table', () => {
+        assert.deepEqual(Object.keys(SHOT_STYLE_NAMES), Object.keys(SHOT_STYLES));
+        for (const [shotStyle, style] of Object.entries(SHOT_STYLES)) {
+            assert.equal(style.name, SHOT_STYLE_NAMES[shotStyle]);
+        }
+    });
+});
+
+describe('pickShotStyle', () => {
+    test('picks a dunk, layup, hook shot, free throw or jumper by the spot', () => {
+        assert.equal(pickShotStyle(nearRim(-1, 0)), 'dunk');
+        assert.equal(pickShotStyle(nearRim(-2, 0)), 'layup');
+        assert.equal(pickShotStyle(nearRim(-0.5, 2)), 'hook');
+        assert.equal(pickShotStyle({ x: getFreeThrowLineX(1), z: 0 }), 'jumper'); // A free throw has to be chosen
+        assert.equal(pickShotStyle({ x: 5, z: 3 }), 'jumper');
+    });
+
+    test('keeps layups in front of the glass', () => {
+        assert.equal(isShotStyleAvailable('layup', nearRim(-2, 0)), true);
+        assert.equal(isShotStyleAvailable('layup', nearRim(0.8, 0.8)), false); // Behind the backboard plane
+        assert.equal(isShotStyleAvailable('layup', nearRim(-0.3, 2)), false); // Off to the side
+        assert.equal(isShotStyleAvailable('dunk', nearRim(-4, 0)), false);
+    });
+});
+
+describe('planShot', () => {
+    test('falls back to the style picked for the spot', () => {
+        assert.equal(planShot('dunk', { x: 5, y: 0.12, z: 3 }).shotStyle, 'jumper');
+        assert.equal(planShot('auto', nearRim(-2, 0)).shotStyle, 'layup');
+    });
+
+    test('releases each style at its own height', () => {
+        const physics = new BallPhysics();
+        physics.placeAt(rim.x - 2, 0);
+
+        assert.deepEqual(planShot('jumper', physics.position).aim.release, physics.position);
+        assert.ok(planShot('layup', physics.position).aim.release.y > physics.position.y);
+        assert.ok(planShot('dunk', nearRim(-1, 0)).aim.release.y > rim.y);
+    });
+
+    test('locks a free throw to the middle of the free-throw line', () => {
+        const { aim } = planShot('freeThrow', { x: 3, y: 0.12, z: 4 });
+        assert.equal(aim.release.x, getFreeThrowLineX(1));
+        assert.equal(aim.release.z, 0);
+
+        // From the hand, like any other gathered shot from the line
+        const physics = new BallPhysics();
+        physics.placeAt(getFreeThrowLineX(1), 0);
+        physics.gather();
+        assert.equal(aim.release.y, physics.getShotPosition().y);
+
+        const result = shootStyled({ x: 3, z: 4 }, 'freeThrow');
+        assert.equal(result.made, true);
+        assert.equal(result.baskets[0].shotType, 'FT');
+        assert.equal(result.baskets[0].shotStyle, 'freeThrow');
+    });
+
+    test('aims at the given basket instead of the nearest one', () => {
+        const plan = planShot('auto', nearRim(-2, 0), {}, -1);
+        assert.equal(plan.shotStyle, 'jumper'); // Far from the left basket, no layup
+        assert.equal(plan.aim.targetSide, -1);
+        assert.equal(planShot('freeThrow', nearRim(-2, 0), {}, -1).aim.release.x, getFreeThrowLineX(-1));
+    });
+});
+
+describe('styled shots', () => {
+    const cases = [
+        { style: 'layup', from: nearRim(-2, 0) },
+        { style: 'layup', from: nearRim(-1.5, 1.2) },
+        { style: 'dunk', from: nearRim(-1, 0) },
+        { style: 'hook', from: nearRim(-2, 0) },
+        { style: 'hook', from: nearRim(-3.5, 1) }
+    ];
+    for (const { style, from } of cases) {
+        test(`score a solved ${SHOT_STYLES[style].name.toLowerCase()} from ${from.x.toFixed(2)}, ${from.z}`, () => {
+            const result = shootStyled(from, style);
+            assert.equal(result.made, true);
+            assert.equal(result.baskets[0].shotStyle, style);
+        });
+    }
+
+    test('bank layups in off the glass', () => {
+        const result = shootStyled(nearRim(-2, 0), 'layup');
+        assert.equal(result.baskets[0].makeType, 'bank');
+    });
+
+    test('go down on a dunk, whatever the power', () => {
+        for (const power of [0, 0.5, 1]) {
+            const { plan, solvedSpeed } = planFrom(nearRim(-1, 0), 'dunk');
+            const aim = { ...plan.aim, launchSpeed: getStyledLaunchSpeed(plan, power, solvedSpeed) };
+            assert.equal(simulateShot(nearRim(-1, 0), power, { aim }).made, true, `power ${power}`);
+        }
+    });
+
+    test('keep the sweet spot of a layup on the power bar', () => {
+        const { plan, solvedSpeed } = planFrom(nearRim(-2, 0), 'layup');
+        assert.equal(getSweetSpotPower(plan, solvedSpeed), 0); // Softer than the slowest shot on the bar
+        assert.equal(getStyledLaunchSpeed(plan, 0, solvedSpeed), solvedSpeed);
+    });
+
+    test('forgive a layup more of a bad touch than a jumper', () => {
+        assert.equal(shootStyled(nearRim(-2, 0), 'layup', 0.1).made, true);
+        assert.equal(shootStyled(nearRim(-2, 0), 'layup', 0.05).made, true);
+        assert.equal(shootStyled(nearRim(-3.5, 1), 'jumper', 0.1).made, false);
+    });
+
+    test('are recorded with the shot and the miss', () => {
+        const physics = new BallPhysics();
+        const misses = [];
+        physics.on('miss', miss => misses.push(miss));
+        physics.placeAt(rim.x - 2, 0);
+        const plan = planShot('hook', physics.position);
+        const shot = physics.shootTowardNearestHoop(0, 0, { ...plan.aim, launchSpeed: 1 });
+        for (let i = 0; i < 600 && physics.shooting; i++) {
+            physics.step();
+        }
+
+        assert.equal(shot.shotStyle, 'hook');
+        assert.equal(misses[0].shotStyle, 'hook');
+    });
+});
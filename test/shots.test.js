@@ -0,0 +1,65 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { simulateShot } from './helpers/simulate.js';
+import { BallPhysics } from '../src/physics/BallPhysics.js';
+import { planShot } from '../src/physics/ShotStyles.js';
+import { getFreeThrowLineX } from '../src/court/CourtSpec.js';
+
+/**
+ * Aims a free throw at a basket, from the hand on the middle of its free-throw line, as in the game.
+ */
+function freeThrowAim(side) {
+    return planShot('freeThrow', { x: getFreeThrowLineX(side), y: 0, z: 0 }, {}, side).aim;
+}
+
+// Full shots on the FIBA court, simulated step by step until the ball comes to rest
+const SHOTS = [
+    { name: 'free throw', from: { x: getFreeThrowLineX(1), z: 0 }, aim: freeThrowAim(1), power: 0.36, made: true, shotType: 'FT', makeType: 'direct' },
+    { name: 'bank shot free throw', from: { x: getFreeThrowLineX(1), z: 0 }, aim: freeThrowAim(1), power: 0.42, made: true, shotType: 'FT', makeType: 'bank' },
+    { name: 'jumper from the free-throw line', from: { x: getFreeThrowLineX(1), z: 0 }, power: 0.36, made: true, shotType: '2PT' },
+    { name: 'mid-range jumper', from: { x: 7, z: 0 }, power: 0.33, made: true, shotType: '2PT', makeType: 'direct' },
+    { name: 'three from the wing', from: { x: 5, z: 3 }, power: 0.56, made: true, shotType: '3PT' },
+    { name: 'airball with no power', from: { x: 7, z: 0 }, power: 0, made: false, shotType: '2PT' },
+    { name: 'full power over the backboard', from: { x: 7, z: 0 }, power: 1, made: false, shotType: '2PT' },
+    { name: 'free throw toward the left basket', from: { x: getFreeThrowLineX(-1), z: 0 }, aim: freeThrowAim(-1), power: 0.36, made: true, shotType: 'FT' }
+];
+
+describe('simulated shots', () => {
+    for (const shot of SHOTS) {
+        test(`${shot.name} is ${shot.made ? 'made' : 'missed'}`, () => {
+            const result = simulateShot(shot.from, shot.power, { aim: shot.aim });
+
+            assert.equal(result.made, shot.made);
+            assert.equal(result.physics.shooting, false, 'the ball should come to rest');
+            if (shot.made) {
+                assert.equal(result.baskets.length, 1, 'a make should only be counted once');
+                assert.equal(result.misses.length, 0);
+                assert.equal(result.baskets[0].shotType, shot.shotType);
+                if (shot.makeType) {
+                    assert.equal(result.baskets[0].makeType, shot.makeType);
+                }
+            } else {
+                assert.equal(result.misses.length, 1);
+                assert.equal(result.misses[0].shotType, shot.shotType);
+            }
+        });
+    }
+
+    test('scores for the team shooting at the opposite hoop', () => {
+        assert.equal(simulateShot({ x: getFreeThrowLineX(1), z: 0 }, 0.36).baskets[0].team, 'away');
+        assert.equal(simulateShot({ x: getFreeThrowLineX(-1), z: 0 }, 0.36).baskets[0].team, 'home');
+    });
+});
+
+describe('predicted shots', () => {
+    for (const shot of SHOTS) {
+        test(`the ${shot.name} is predicted to ${shot.made ? 'reach' : 'miss'} the rim`, () => {
+            const physics = new BallPhysics();
+            physics.placeAt(shot.from.x, shot.from.z);
+            physics.gather();
+
+            assert.equal(physics.predictShot(shot.power, 0, shot.aim).reachesRim, shot.made);
+        });
+    }
+});